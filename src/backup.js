@@ -0,0 +1,197 @@
+import fs from 'fs';
+import readline from 'readline';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import { config } from './config.js';
+import { getVectorStore, listNamespaces, projectNamespace, scanVectors } from './vector-store.js';
+import { getEmbeddingProvider, generateEmbeddings } from './embeddings.js';
+import { encodeDocument } from './sparse.js';
+import { matchesFilter } from './local-store.js';
+
+/**
+ * Export and import of the whole index as JSONL
+ *
+ * The first line is a header ({ format, version, index, ... }), every other
+ * line one vector ({ id, namespace?, values, sparseValues?, metadata }).
+ */
+
+export const EXPORT_FORMAT = 'pinecone-context-export';
+export const EXPORT_VERSION = 1;
+
+const IMPORT_BATCH_SIZE = 100;
+
+/**
+ * Stream every vector matching the filter to a JSONL file
+ * @param {string} filePath - Output file
+ * @param {object} options - { project, types, onProgress(count) }
+ * @returns {object} { count, namespaces }
+ */
+export async function exportContext(filePath, options = {}) {
+  const { project = null, types = null, onProgress = null } = options;
+
+  const filter = {};
+  if (project) filter.project = project;
+  if (types && types.length > 0) filter.type = { $in: types };
+
+  const stats = await (await getVectorStore()).describeIndexStats();
+  let namespaces = await listNamespaces();
+  if (project && config.namespaces.perProject) {
+    namespaces = namespaces.filter(ns => ns === '' || ns === project);
+  }
+
+  const out = fs.createWriteStream(filePath);
+  // A bad path or a full disk rejects the export instead of crashing the process
+  let streamError = null;
+  out.on('error', error => { streamError = error; });
+  const write = async line => {
+    if (streamError) throw streamError;
+    if (!out.write(`${JSON.stringify(line)}\n`)) await once(out, 'drain');
+  };
+
+  try {
+    const provider = getEmbeddingProvider();
+    await write({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      index: config.pinecone.indexName,
+      vectorStore: config.vectorStore,
+      dimension: stats.dimension,
+      embeddingProvider: provider.name,
+      embeddingModel: provider.model,
+      filter,
+    });
+
+    let count = 0;
+    for (const namespace of namespaces) {
+      for await (const records of scanVectors(namespace)) {
+        for (const record of records) {
+          if (!matchesFilter(record.metadata, filter)) continue;
+          await write({
+            id: record.id,
+            ...(namespace && { namespace }),
+            values: record.values,
+            ...(record.sparseValues && { sparseValues: record.sparseValues }),
+            metadata: record.metadata,
+          });
+          count++;
+        }
+        if (onProgress) onProgress(count);
+      }
+    }
+
+    out.end();
+    await finished(out);
+    return { count, namespaces };
+  } catch (error) {
+    out.destroy();
+    throw error;
+  }
+}
+
+/**
+ * Restore an export into the configured index
+ * Vectors go to the namespace their project maps to under the current
+ * NAMESPACE_PER_PROJECT setting, not necessarily the one they came from.
+ * @param {string} filePath - JSONL file written by exportContext
+ * @param {object} options - { reembed, onProgress(count) }
+ *   reembed - embed metadata.text with the current provider instead of
+ *   reusing the stored values (needed when the model or dimension differs)
+ * @returns {object} { count, header }
+ */
+export async function importContext(filePath, options = {}) {
+  const { reembed = false, onProgress = null } = options;
+  const store = await getVectorStore();
+
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  let header = null;
+  let batch = [];
+  let count = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await upsertBatch(store, batch, reembed);
+    count += batch.length;
+    batch = [];
+    if (onProgress) onProgress(count);
+  };
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const entry = JSON.parse(line);
+
+    if (!header) {
+      header = validateHeader(entry);
+      if (!reembed) await checkDimension(store, header.dimension);
+      continue;
+    }
+
+    batch.push(entry);
+    if (batch.length >= IMPORT_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  if (!header) throw new Error(`${filePath} is empty`);
+  return { count, header };
+}
+
+/**
+ * Read and validate the header line of an export
+ */
+export async function readExportHeader(filePath) {
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    lines.close();
+    return validateHeader(JSON.parse(line));
+  }
+  throw new Error(`${filePath} is empty`);
+}
+
+function validateHeader(header) {
+  if (header.format !== EXPORT_FORMAT) {
+    throw new Error('Not a pinecone-context export (missing header line)');
+  }
+  if (header.version > EXPORT_VERSION) {
+    throw new Error(`Export version ${header.version} is newer than this tool supports (${EXPORT_VERSION})`);
+  }
+  return header;
+}
+
+/**
+ * Stored values can only be reused by an index of the same dimension
+ */
+async function checkDimension(store, dimension) {
+  const stats = await store.describeIndexStats();
+  if (stats.dimension && dimension && stats.dimension !== dimension) {
+    throw new Error(`Export has ${dimension}-dimensional vectors but the index has ${stats.dimension}; use --reembed`);
+  }
+}
+
+async function upsertBatch(store, entries, reembed) {
+  const values = reembed
+    ? await generateEmbeddings(entries.map(e => e.metadata?.text || ''))
+    : entries.map(e => e.values);
+
+  // Group by target namespace
+  const byNamespace = new Map();
+  entries.forEach((entry, i) => {
+    // Hybrid search needs sparse values even if the source index had none
+    const sparseValues = reembed || (config.search.hybrid && !entry.sparseValues)
+      ? config.search.hybrid && encodeDocument(entry.metadata?.text || '')
+      : entry.sparseValues;
+
+    const namespace = projectNamespace(entry.metadata?.project);
+    if (!byNamespace.has(namespace)) byNamespace.set(namespace, []);
+    byNamespace.get(namespace).push({
+      id: entry.id,
+      values: values[i],
+      ...(sparseValues?.indices?.length > 0 && { sparseValues }),
+      metadata: entry.metadata,
+    });
+  });
+
+  for (const [namespace, vectors] of byNamespace) {
+    await store.namespace(namespace).upsert(vectors);
+  }
+}
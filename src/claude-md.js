@@ -0,0 +1,135 @@
+/**
+ * Generated sections of CLAUDE.md
+ *
+ * A section lives between start and end markers and is rewritten as a whole;
+ * everything outside the markers is left as written. The recent deployments
+ * section is its own record: each run reads the entries already listed,
+ * adds the new ones and keeps the latest few per repository.
+ */
+
+const START_MARKER = '<!-- recent-deployments:start (generated by deploy-sync; edits here are overwritten) -->';
+const END_MARKER = '<!-- recent-deployments:end -->';
+const START_PATTERN = /^<!-- recent-deployments:start\b.*-->$/m;
+
+const ENTRY_PATTERN = /^- (\d{4}-\d{2}-\d{2}) `([0-9a-f]+)` (\S+): (.*)$/;
+
+/**
+ * Deployments listed in the section, by repository
+ * @returns {object} { [repo]: [{ date, commit, type, summary }] }
+ */
+export function parseRecentDeployments(content) {
+  const section = findSection(content);
+  const byRepo = {};
+  if (!section) return byRepo;
+
+  let repo = null;
+  for (const line of content.slice(section.start, section.end).split('\n')) {
+    const heading = line.match(/^### (.+)$/);
+    if (heading) {
+      repo = heading[1].trim();
+      byRepo[repo] ||= [];
+      continue;
+    }
+    const entry = line.match(ENTRY_PATTERN);
+    if (entry && repo) {
+      byRepo[repo].push({ date: entry[1], commit: entry[2], type: entry[3], summary: entry[4] });
+    }
+  }
+  return byRepo;
+}
+
+/**
+ * Add deployments to the section and keep the latest `limit` per repository
+ * The section is appended to the end of the file if it isn't there yet.
+ * @param {string} content - CLAUDE.md
+ * @param {Array} deployments - [{ repo, date, commit, type, summary }]
+ * @param {object} options - { limit }
+ * @returns {string} The updated content
+ */
+export function updateRecentDeployments(content, deployments, options = {}) {
+  const { limit = 5 } = options;
+  const byRepo = parseRecentDeployments(content);
+
+  for (const { repo, ...entry } of deployments) {
+    // A commit deployed again replaces its old line
+    const entries = (byRepo[repo] || []).filter(e => !sameCommit(e.commit, entry.commit));
+    byRepo[repo] = [entry, ...entries];
+  }
+
+  const repos = Object.keys(byRepo).sort();
+  const lines = [START_MARKER, '## Recent Deployments', ''];
+  for (const repo of repos) {
+    // Newest first; a stable sort keeps same-day deployments in run order
+    const entries = [...byRepo[repo]].sort((a, b) => b.date.localeCompare(a.date)).slice(0, limit);
+    lines.push(`### ${repo}`, ...entries.map(e => `- ${e.date} \`${e.commit}\` ${e.type}: ${e.summary}`), '');
+  }
+  lines.push(END_MARKER);
+  const block = lines.join('\n');
+
+  const section = findSection(content);
+  if (section) return content.slice(0, section.start) + block + content.slice(section.end);
+  return `${content.replace(/\n*$/, '')}\n\n${block}\n`;
+}
+
+/**
+ * Line diff of two versions of a file, with `context` unchanged lines
+ * around each change, for previews
+ */
+export function diffLines(before, after, context = 2) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Longest common subsequence over the lines between the common prefix and suffix
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix
+    && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+
+  const lcs = Array.from({ length: midA.length + 1 }, () => new Array(midB.length + 1).fill(0));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, prefix).map(line => [' ', line]);
+  let i = 0;
+  let j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      ops.push([' ', midA[i++]]);
+      j++;
+    } else if (i < midA.length && (j === midB.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push(['-', midA[i++]]);
+    } else {
+      ops.push(['+', midB[j++]]);
+    }
+  }
+  ops.push(...a.slice(a.length - suffix).map(line => [' ', line]));
+
+  // Keep changed lines and their context; mark skipped stretches with ...
+  const keep = ops.map(([op]) => op !== ' ');
+  const shown = ops.map((_, k) => keep.slice(Math.max(0, k - context), k + context + 1).some(Boolean));
+  const out = [];
+  shown.forEach((show, k) => {
+    if (show) out.push(`${ops[k][0]} ${ops[k][1]}`);
+    else if (k === 0 || shown[k - 1]) out.push('...');
+  });
+  return out.join('\n');
+}
+
+function findSection(content) {
+  const start = content.search(START_PATTERN);
+  if (start === -1) return null;
+  const end = content.indexOf(END_MARKER, start);
+  if (end === -1) return null;
+  return { start, end: end + END_MARKER.length };
+}
+
+// Short and full hashes of the same commit
+function sameCommit(a, b) {
+  return a.startsWith(b) || b.startsWith(a);
+}
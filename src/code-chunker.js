@@ -0,0 +1,273 @@
+import { config } from './config.js';
+import { countTokens, splitByTokens } from './tokenizer.js';
+
+/**
+ * Syntax-aware chunking for source files
+ *
+ * Splits code on function, class and method boundaries found with
+ * per-language declaration patterns (no parser needed), so a chunk holds
+ * whole definitions and knows where it lives in the file.
+ */
+
+const JS_PATTERNS = [
+  /^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+(?<name>[A-Za-z_$][\w$]*)/,
+  /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*(?<name>[A-Za-z_$][\w$]*)/,
+  /^\s*(?:export\s+)?(?:const|let|var)\s+(?<name>[A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[A-Za-z_$][\w$]*\s*=>)/,
+  /^\s*(?:export\s+)?(?:declare\s+)?(?:interface|type|enum)\s+(?<name>[A-Za-z_$][\w$]*)/,
+  /^\s+(?:(?:static|async|get|set|public|private|protected|readonly|override)\s+)*(?!(?:if|for|while|switch|catch|function|return)\b)(?<name>[A-Za-z_$#][\w$]*)\s*\([^)]*\)\s*(?::[^{]+)?\{\s*$/,
+];
+
+const LANGUAGE_PATTERNS = {
+  javascript: JS_PATTERNS,
+  typescript: JS_PATTERNS,
+  python: [
+    /^\s*class\s+(?<name>\w+)/,
+    /^\s*(?:async\s+)?def\s+(?<name>\w+)/,
+  ],
+  ruby: [
+    /^\s*(?:class|module)\s+(?<name>[\w:]+)/,
+    /^\s*def\s+(?:self\.)?(?<name>[\w?!=]+)/,
+  ],
+  go: [
+    /^type\s+(?<name>\w+)\s+(?:struct|interface)\b/,
+    /^func\s+(?:\([^)]*\)\s*)?(?<name>\w+)/,
+  ],
+  rust: [
+    /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:struct|enum|trait|mod)\s+(?<name>\w+)/,
+    /^\s*impl(?:<[^>]*>)?\s+(?:[\w:<>]+\s+for\s+)?(?<name>[\w:]+)/,
+    /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:const\s+)?(?:async\s+)?(?:unsafe\s+)?fn\s+(?<name>\w+)/,
+  ],
+  java: [
+    /^\s*(?:(?:public|private|protected|static|abstract|final|sealed)\s+)*(?:class|interface|enum|record)\s+(?<name>\w+)/,
+    /^\s*(?:(?:public|private|protected|static|final|abstract|synchronized|native)\s+)+[\w<>[\],.?\s]+?\s+(?<name>\w+)\s*\(/,
+  ],
+  csharp: [
+    /^\s*(?:(?:public|private|protected|internal|static|abstract|sealed|partial)\s+)*(?:class|interface|enum|record|struct)\s+(?<name>\w+)/,
+    /^\s*(?:(?:public|private|protected|internal|static|async|override|virtual|abstract|sealed)\s+)+[\w<>[\],.?\s]+?\s+(?<name>\w+)\s*\(/,
+  ],
+  cpp: [
+    /^\s*(?:template\s*<[^>]*>\s*)?(?:class|struct|namespace)\s+(?<name>\w+)\s*(?::[^{;]*)?\{?\s*$/,
+    /^[A-Za-z_][\w\s*&:<>,]*?[\s*&]+(?<name>[A-Za-z_~][\w:~]*)\s*\([^;]*$/,
+  ],
+  c: [
+    /^(?:typedef\s+)?struct\s+(?<name>\w+)\s*\{?\s*$/,
+    /^[A-Za-z_][\w\s*]*?[\s*]+(?<name>[A-Za-z_]\w*)\s*\([^;]*$/,
+  ],
+  markdown: [
+    /^#{1,6}\s+(?<name>.+?)\s*#*\s*$/,
+  ],
+};
+
+// Comment, decorator and attribute lines that belong to the declaration below them
+const LEADING_LINE = /^\s*(?:\/\/|\/\*|\*|#|@\w|\[\w)/;
+const NO_LEADING_LINE = /(?!)/;
+
+// Chunks with fewer tokens than this get merged into their neighbour
+const MIN_CHUNK_TOKENS = 50;
+
+/**
+ * Check whether syntax-aware chunking is available for a language
+ */
+export function supportsLanguage(language) {
+  return Boolean(LANGUAGE_PATTERNS[language]);
+}
+
+/**
+ * Chunk source code on declaration boundaries
+ * @param {string} text - File content
+ * @param {string} language - Language name from getLanguageFromPath
+ * @param {number} maxTokens - Maximum tokens of the embedding model per chunk
+ * @returns {Array<{text, startLine, endLine, symbol}>} Line numbers are 1-based and inclusive
+ */
+export function chunkCode(text, language, maxTokens = config.chunking.maxTokens.code) {
+  const lines = text.split('\n');
+  const patterns = LANGUAGE_PATTERNS[language];
+
+  const ctx = {
+    lines,
+    // Counted once per line; segment sizes are sums over their lines
+    lineTokens: lines.map(line => countTokens(`${line}\n`)),
+    declarations: patterns ? findDeclarations(lines, patterns, language) : [],
+    // Markdown headings are the boundaries themselves, nothing leads them
+    leadingLine: language === 'markdown' ? NO_LEADING_LINE : LEADING_LINE,
+    maxTokens,
+  };
+  const segments = splitSegment(ctx, 0, lines.length, null);
+
+  return mergeSmallSegments(ctx, segments).flatMap(segment => {
+    const chunk = toChunk(lines, segment);
+    if (!chunk) return [];
+    if (segmentSize(ctx, segment.start, segment.end) <= maxTokens) return [chunk];
+    // Only a single line is ever over the limit (minified code, inline
+    // data); cut it by tokens into chunks that share its line number
+    return splitByTokens(chunk.text, maxTokens).map(text => ({ ...chunk, text }));
+  });
+}
+
+function findDeclarations(lines, patterns, language) {
+  const declarations = [];
+  let inBlockComment = false;
+  let inFence = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Comments inside fenced code blocks are not headings
+    if (language === 'markdown' && /^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) continue;
+
+    // Don't mistake commented-out code for declarations (C-style comments)
+    if (language !== 'python' && language !== 'ruby' && language !== 'markdown') {
+      if (inBlockComment) {
+        if (line.includes('*/')) inBlockComment = false;
+        continue;
+      }
+      if (/^\s*\/\*/.test(line) && !line.includes('*/')) {
+        inBlockComment = true;
+        continue;
+      }
+    }
+
+    for (const pattern of patterns) {
+      const match = line.match(pattern);
+      if (match) {
+        const indent = language === 'markdown'
+          ? line.indexOf(' ') // Heading depth stands in for nesting
+          : line.match(/^\s*/)[0].length;
+        declarations.push({ line: i, indent, name: match.groups.name });
+        break;
+      }
+    }
+  }
+
+  return declarations;
+}
+
+/**
+ * Split lines [start, end) at the outermost declarations inside it.
+ * The file is always split at its top-level declarations; nested ones
+ * (methods in a class) only when the enclosing segment is too large.
+ */
+function splitSegment(ctx, start, end, parentSymbol) {
+  const inside = ctx.declarations.filter(d => d.line >= start && d.line < end);
+  const fits = segmentSize(ctx, start, end) <= ctx.maxTokens;
+  if (inside.length === 0 || (parentSymbol && fits)) {
+    return splitBySize(ctx, start, end, parentSymbol);
+  }
+
+  // The declaration the segment opens with is not a split point
+  const own = inside[0].line === firstCodeLine(ctx, start, end) ? inside[0] : null;
+  const candidates = inside.filter(d => d !== own);
+  let symbol = parentSymbol || own?.name || null;
+  if (candidates.length === 0) {
+    return splitBySize(ctx, start, end, symbol);
+  }
+
+  const outerIndent = Math.min(...candidates.map(d => d.indent));
+  const outer = candidates.filter(d => d.indent === outerIndent);
+
+  const segments = [];
+  let segmentStart = start;
+
+  for (const declaration of outer) {
+    const boundary = Math.max(attachLeadingLines(ctx, declaration.line), segmentStart);
+    if (boundary > segmentStart) {
+      segments.push(...splitSegment(ctx, segmentStart, boundary, symbol));
+    }
+    segmentStart = boundary;
+    symbol = parentSymbol ? `${parentSymbol}.${declaration.name}` : declaration.name;
+  }
+  segments.push(...splitSegment(ctx, segmentStart, end, symbol));
+
+  return segments;
+}
+
+/**
+ * Fallback for code without usable boundaries: split on line breaks
+ * A line over maxTokens gets a segment of its own.
+ */
+function splitBySize({ lineTokens, maxTokens }, start, end, symbol) {
+  const segments = [];
+  let segmentStart = start;
+  let size = 0;
+
+  for (let i = start; i < end; i++) {
+    const lineSize = lineTokens[i];
+    if (size + lineSize > maxTokens && i > segmentStart) {
+      segments.push({ start: segmentStart, end: i, symbol });
+      segmentStart = i;
+      size = 0;
+    }
+    size += lineSize;
+  }
+  if (segmentStart < end) segments.push({ start: segmentStart, end, symbol });
+
+  return segments;
+}
+
+/**
+ * Fold tiny segments (one-liners, imports, closing braces) into a neighbour
+ */
+function mergeSmallSegments(ctx, segments) {
+  const merged = [];
+
+  for (const segment of segments) {
+    const previous = merged[merged.length - 1];
+    const size = segmentSize(ctx, segment.start, segment.end);
+
+    if (previous) {
+      const previousSize = segmentSize(ctx, previous.start, previous.end);
+      const small = size < MIN_CHUNK_TOKENS || previousSize < MIN_CHUNK_TOKENS;
+      if (small && previousSize + size <= ctx.maxTokens) {
+        previous.end = segment.end;
+        previous.symbols.push(segment.symbol);
+        continue;
+      }
+    }
+    merged.push({ ...segment, symbols: [segment.symbol] });
+  }
+
+  return merged;
+}
+
+function toChunk(lines, segment) {
+  let { start, end } = segment;
+  while (start < end && lines[start].trim() === '') start++;
+  while (end > start && lines[end - 1].trim() === '') end--;
+  if (start === end) return null;
+
+  const chunk = {
+    text: lines.slice(start, end).join('\n'),
+    startLine: start + 1,
+    endLine: end,
+  };
+
+  const symbols = [...new Set(segment.symbols.filter(Boolean))];
+  if (symbols.length > 0) chunk.symbol = symbols.join(', ');
+
+  return chunk;
+}
+
+function attachLeadingLines({ lines, leadingLine }, line) {
+  let start = line;
+  while (start > 0 && leadingLine.test(lines[start - 1])) {
+    start--;
+  }
+  return start;
+}
+
+function firstCodeLine({ lines, leadingLine }, start, end) {
+  for (let i = start; i < end; i++) {
+    if (lines[i].trim() !== '' && !leadingLine.test(lines[i])) return i;
+  }
+  return end;
+}
+
+function segmentSize({ lineTokens }, start, end) {
+  let size = 0;
+  for (let i = start; i < end; i++) size += lineTokens[i];
+  return size;
+}
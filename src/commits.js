@@ -0,0 +1,93 @@
+/**
+ * Conventional Commits parsing for deploy-sync
+ * (https://www.conventionalcommits.org/en/v1.0.0/)
+ *
+ * `type(scope)!: subject`, an optional body, and footers like
+ * `BREAKING CHANGE: ...` or `Refs: #123` in the last paragraph. Messages that
+ * don't follow the format are classified as `general`, not guessed at.
+ */
+
+const HEADER = /^(?<type>[a-zA-Z]+)(?:\((?<scope>[^()\n]*)\))?(?<breaking>!)?: (?<subject>.+)$/;
+const FOOTER = /^(?<token>BREAKING[ -]CHANGE|[A-Za-z][\w-]*)(?:: | #)(?<value>.*)$/;
+
+// GitHub references anywhere: #123, GH-123, owner/repo#123
+const GITHUB_REF = /(?:\b[\w.-]+\/[\w.-]+)?#\d+\b|\bGH-\d+\b/g;
+// Tracker keys like ABC-123; only taken from footers, as in prose they're
+// easily confused with things like UTF-8 or SHA-256
+const ISSUE_KEY = /\b[A-Z][A-Z0-9]+-\d+\b/g;
+
+// Conventional Commits type -> deployment type and priority
+const COMMIT_TYPES = {
+  feat: { type: 'feature', priority: 'high' },
+  fix: { type: 'bugfix', priority: 'high' },
+  perf: { type: 'performance', priority: 'medium' },
+  revert: { type: 'revert', priority: 'medium' },
+  refactor: { type: 'refactor', priority: 'low' },
+  docs: { type: 'documentation', priority: 'low' },
+  test: { type: 'testing', priority: 'low' },
+  style: { type: 'style', priority: 'low' },
+  build: { type: 'maintenance', priority: 'low' },
+  ci: { type: 'maintenance', priority: 'low' },
+  chore: { type: 'maintenance', priority: 'low' },
+  deps: { type: 'maintenance', priority: 'low' },
+};
+
+/**
+ * Split a commit message into its Conventional Commits parts
+ * @returns {object} { type, scope, breaking, subject, body, footers: [{ token, value }], issues }
+ *   type and scope are null when the header doesn't follow the format
+ */
+export function parseCommitMessage(message) {
+  const [header = '', ...rest] = message.trim().split('\n');
+  const match = header.trim().match(HEADER);
+
+  // Paragraphs after the header; the last one holds the footers if it starts with one
+  const paragraphs = rest.join('\n').trim().split(/\n\s*\n/).filter(p => p.trim());
+  const footers = [];
+  if (paragraphs.length > 0 && FOOTER.test(paragraphs[paragraphs.length - 1].split('\n')[0])) {
+    for (const line of paragraphs.pop().split('\n')) {
+      const footer = line.match(FOOTER);
+      if (footer) footers.push({ token: footer.groups.token, value: footer.groups.value.trim() });
+      else footers[footers.length - 1].value += `\n${line}`;
+    }
+  }
+
+  const breaking = Boolean(match?.groups.breaking)
+    || footers.some(f => /^BREAKING[ -]CHANGE$/.test(f.token));
+
+  const issues = new Set(message.match(GITHUB_REF) || []);
+  for (const { token, value } of footers) {
+    if (token.startsWith('BREAKING')) continue;
+    const key = `${token}: ${value}`;
+    for (const ref of key.match(ISSUE_KEY) || []) issues.add(ref);
+  }
+
+  return {
+    type: match ? match.groups.type.toLowerCase() : null,
+    scope: match?.groups.scope?.trim() || null,
+    breaking,
+    subject: match ? match.groups.subject.trim() : header.trim(),
+    body: paragraphs.join('\n\n'),
+    footers,
+    issues: [...issues],
+  };
+}
+
+/**
+ * Deployment type and priority of a commit, plus its parsed parts
+ * Breaking changes are always high priority.
+ * @returns {object} { type, priority, commitType, scope, breaking, issues }
+ */
+export function analyzeCommit(message) {
+  const parsed = parseCommitMessage(message);
+  const { type, priority } = COMMIT_TYPES[parsed.type] || { type: 'general', priority: 'medium' };
+
+  return {
+    type,
+    priority: parsed.breaking ? 'high' : priority,
+    commitType: parsed.type,
+    scope: parsed.scope,
+    breaking: parsed.breaking,
+    issues: parsed.issues,
+  };
+}
@@ -1,22 +1,182 @@
 import 'dotenv/config';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseDuration } from './duration.js';
+
+// Repo root, used for local data files
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DATA_DIR = process.env.DATA_DIR || path.join(ROOT_DIR, '.data');
 
 export const config = {
+  // Which vector store backend to use: 'pinecone' (default) or 'local'
+  vectorStore: process.env.VECTOR_STORE || 'pinecone',
   pinecone: {
     apiKey: process.env.PINECONE_API_KEY,
     indexName: process.env.PINECONE_INDEX_NAME || 'claude-context',
   },
+  namespaces: {
+    // Store each project in its own namespace instead of only tagging its metadata
+    perProject: process.env.NAMESPACE_PER_PROJECT === 'true',
+  },
+  // Local state such as indexing manifests
+  dataDir: DATA_DIR,
+  local: {
+    // File-backed store for offline use, CI and experiments
+    dataDir: process.env.LOCAL_STORE_DIR || DATA_DIR,
+  },
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
     embeddingModel: 'text-embedding-3-small', // Cost-effective, good quality
   },
-  // Vector dimensions for text-embedding-3-small
-  dimensions: 1536,
+  embeddings: {
+    // Which embedding provider to use: 'openai' (default), 'openai-compatible' or 'hash'
+    provider: process.env.EMBEDDING_PROVIDER || 'openai',
+    // Overrides the provider's default model
+    model: process.env.EMBEDDING_MODEL,
+    // Endpoint and key for 'openai-compatible' (Ollama, LM Studio, vLLM, ...)
+    baseURL: process.env.EMBEDDING_BASE_URL,
+    apiKey: process.env.EMBEDDING_API_KEY,
+    // Vector dimensions; the provider's native size when unset
+    dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS) || null,
+    // Per-request limits; the provider's own when unset
+    batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE) || null,
+    batchTokens: parseInt(process.env.EMBEDDING_BATCH_TOKENS) || null,
+  },
+  chunking: {
+    // Chunk size and overlap in tokens of the embedding model, per type;
+    // `default` covers types without their own. Code is split on
+    // declarations instead and has no overlap.
+    maxTokens: parseTypeMap(process.env.CHUNK_TOKENS, {
+      code: 400,
+      change: 400,
+      documentation: 300,
+      conversation: 300,
+      default: 250,
+    }, parseInt),
+    overlapTokens: parseTypeMap(process.env.CHUNK_OVERLAP_TOKENS, {
+      documentation: 30,
+      conversation: 30,
+      default: 25,
+    }, parseInt),
+    // js-tiktoken encoding to count with instead of the embedding model's
+    encoding: process.env.TOKENIZER_ENCODING || null,
+  },
+  embeddingCache: {
+    // Embeddings on disk, keyed by model and text, shared by all processes
+    enabled: process.env.EMBEDDING_CACHE !== 'false',
+    dir: process.env.EMBEDDING_CACHE_DIR || path.join(DATA_DIR, 'embedding-cache'),
+    // Least recently used embeddings are evicted past this size
+    maxBytes: parseNumber(process.env.EMBEDDING_CACHE_MAX_MB, 256) * 1024 * 1024,
+  },
+  search: {
+    // Store BM25-style sparse vectors next to dense ones (needs a dotproduct index)
+    hybrid: process.env.HYBRID_SEARCH === 'true',
+    // Default weighting: 1 = pure semantic, 0 = pure keyword
+    alpha: parseNumber(process.env.HYBRID_ALPHA, 0.5),
+  },
+  retrieval: {
+    // Maximal Marginal Relevance for library/CLI searches (always on by default in the MCP server)
+    mmr: process.env.RETRIEVAL_MMR === 'true',
+    // MMR trade-off: 1 = pure relevance, 0 = pure diversity
+    lambda: parseNumber(process.env.MMR_LAMBDA, 0.5),
+    // Candidates fetched per requested result before reranking/MMR
+    fetchMultiplier: parseInt(process.env.RETRIEVAL_FETCH_MULTIPLIER) || 4,
+    // Reranker to apply by default: 'pinecone', 'keyword' or a registered name
+    reranker: process.env.RERANKER || null,
+    rerankModel: process.env.RERANK_MODEL || 'bge-reranker-v2-m3',
+    decay: {
+      // Weight recent entries higher by default
+      enabled: process.env.TIME_DECAY === 'true',
+      // Share of the score that decays: 0.5 = old entries keep at least half
+      weight: parseNumber(process.env.DECAY_WEIGHT, 0.5),
+      // Half-life per type (ms); types without one don't decay
+      halfLives: parseTypeMap(process.env.DECAY_HALF_LIVES, {
+        deployment: '7d',
+        conversation: '30d',
+        note: '90d',
+        learning: '180d',
+        decision: '365d',
+      }, parseDuration),
+    },
+  },
+  dedupe: {
+    // What storing a near-duplicate does: 'skip' (keep the existing entry),
+    // 'merge' (append the new text to it), 'replace' (overwrite it) or 'off'
+    policy: process.env.DEDUPE_POLICY || 'skip',
+    // Cosine similarity at which two entries count as the same
+    threshold: parseNumber(process.env.DEDUPE_THRESHOLD, 0.95),
+  },
+  requests: {
+    // Retries for rate limits, 5xx and network errors from the embedding
+    // provider and the vector store (retry-after is honoured when sent)
+    retries: parseNumber(process.env.REQUEST_RETRIES, 5),
+    minDelay: parseNumber(process.env.RETRY_MIN_DELAY_MS, 500),
+    maxDelay: parseNumber(process.env.RETRY_MAX_DELAY_MS, 30000),
+    // Requests in flight at once, per process
+    embeddingConcurrency: parseInt(process.env.EMBEDDING_CONCURRENCY) || 2,
+    writeConcurrency: parseInt(process.env.UPSERT_CONCURRENCY) || 4,
+  },
+  secrets: {
+    // What secrets found in stored text do: 'warn' (mask them and log a
+    // warning), 'redact' (mask them quietly), 'block' (refuse to store) or 'off'
+    mode: process.env.SECRETS_MODE || 'warn',
+    // Extra patterns, globally and per project (see src/secrets.js)
+    patternsFile: process.env.SECRET_PATTERNS_FILE || path.join(ROOT_DIR, 'secret-patterns.json'),
+  },
+  deploySync: {
+    // Repo -> project mapping and rules for which commits become decisions
+    configFile: process.env.DEPLOY_SYNC_CONFIG || path.join(ROOT_DIR, 'deploy-sync.json'),
+  },
+  mcp: {
+    // 'stdio' (default, one process per client) or 'http' (Streamable HTTP + SSE)
+    transport: process.env.MCP_TRANSPORT || 'stdio',
+    host: process.env.MCP_HOST || '127.0.0.1',
+    port: parseInt(process.env.MCP_PORT) || 3333,
+    // Bearer tokens for the HTTP transport and the projects each may access
+    tokens: parseTokens(process.env.MCP_AUTH_TOKENS),
+  },
 };
 
+/**
+ * Parse per-type settings like "deployment=7d,decision=365d,default=90d"
+ * over the defaults, converting each value with parse
+ * `default` applies to types without their own value.
+ */
+function parseTypeMap(value, defaults, parse) {
+  const settings = { ...defaults };
+  for (const entry of (value || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const [type, setting] = entry.split('=').map(part => part.trim());
+    settings[type] = setting;
+  }
+  return Object.fromEntries(Object.entries(settings).map(([type, setting]) => [type, parse(setting)]));
+}
+
+function parseNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? fallback : number;
+}
+
+/**
+ * Parse "token1=proj-a,proj-b;token2=*" into [{ token, projects }]
+ * projects is null when the token may access every project.
+ */
+function parseTokens(value) {
+  if (!value) return [];
+  return value.split(';').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [token, projects = '*'] = entry.split('=');
+    const list = projects.split(',').map(p => p.trim()).filter(Boolean);
+    return { token: token.trim(), projects: list.length === 0 || list.includes('*') ? null : list };
+  });
+}
+
 export function validateConfig() {
   const missing = [];
-  if (!config.pinecone.apiKey) missing.push('PINECONE_API_KEY');
-  if (!config.openai.apiKey) missing.push('OPENAI_API_KEY');
+  if (config.vectorStore === 'pinecone' && !config.pinecone.apiKey) missing.push('PINECONE_API_KEY');
+  if (config.embeddings.provider === 'openai' && !config.openai.apiKey) missing.push('OPENAI_API_KEY');
+  if (config.embeddings.provider === 'openai-compatible') {
+    if (!config.embeddings.baseURL) missing.push('EMBEDDING_BASE_URL');
+    if (!config.embeddings.model) missing.push('EMBEDDING_MODEL');
+  }
 
   if (missing.length > 0) {
     console.error('Missing required environment variables:', missing.join(', '));
@@ -0,0 +1,184 @@
+import { countTokens, splitByTokens } from './tokenizer.js';
+
+/**
+ * Token-budgeted context assembly
+ *
+ * Turns search hits into a prompt-ready string: chunks from the same source
+ * are grouped, consecutive chunks are stitched back together with their
+ * overlap removed, and sources are added best-first until the budget is full.
+ */
+
+// Smallest useful piece of a partially fitting source
+const MIN_PARTIAL_TOKENS = 50;
+
+// Shorter matches between chunk edges are coincidence, not chunk overlap
+const MIN_OVERLAP = 10;
+
+/**
+ * Tokens in a text, counted with the embedding model's tokenizer
+ */
+export function estimateTokens(text) {
+  return countTokens(text);
+}
+
+/**
+ * Format a code hit's location as file:line or file:start-end
+ */
+export function formatLocation(meta = {}) {
+  if (!meta.startLine) return meta.filePath;
+  const lines = meta.endLine && meta.endLine !== meta.startLine
+    ? `${meta.startLine}-${meta.endLine}`
+    : `${meta.startLine}`;
+  return `${meta.filePath}:${lines}`;
+}
+
+/**
+ * Assemble search results into a context string within a token budget
+ * @param {Array} results - Search results ({ id, score, text, metadata })
+ * @param {object} options - { tokenBudget } (unlimited by default)
+ * @returns {object} { text, citations, tokenCount, truncated }
+ */
+export function buildContext(results, options = {}) {
+  const { tokenBudget = Infinity } = options;
+
+  const blocks = groupBySource(results).flatMap(mergeConsecutive);
+
+  const sections = [];
+  const citations = [];
+  let tokenCount = 0;
+  let truncated = false;
+
+  for (const block of blocks) {
+    const number = citations.length + 1;
+    const header = `[${number}] ${formatHeader(block)}`;
+    const separator = sections.length > 0 ? '\n\n---\n\n' : '';
+    const overhead = estimateTokens(`${separator}${header}\n`);
+    const remaining = tokenBudget - tokenCount - overhead;
+
+    let text = block.text;
+    if (estimateTokens(text) > remaining) {
+      truncated = true;
+      if (remaining < MIN_PARTIAL_TOKENS) continue;
+      text = truncateToTokens(text, remaining);
+    }
+
+    sections.push(`${separator}${header}\n${text}`);
+    tokenCount += overhead + estimateTokens(text);
+    citations.push({
+      number,
+      ids: block.ids,
+      score: block.score,
+      type: block.metadata.type,
+      project: block.metadata.project,
+      filePath: block.metadata.filePath,
+      title: block.metadata.title,
+      startLine: block.startLine,
+      endLine: block.endLine,
+      chunkIndexes: block.chunkIndexes,
+    });
+  }
+
+  return { text: sections.join(''), citations, tokenCount, truncated };
+}
+
+/**
+ * Identify the stored content a chunk came from
+ */
+function sourceKey(result) {
+  const meta = result.metadata || {};
+  if (meta.sourceId) return meta.sourceId;
+  if (meta.filePath) return `file:${meta.filePath}`;
+  if (meta.title) return `doc:${meta.title}`;
+  return `id:${result.id}`;
+}
+
+/**
+ * Group hits by source, best-scoring source first, chunks in document order
+ */
+function groupBySource(results) {
+  const groups = new Map();
+  for (const result of results) {
+    const key = sourceKey(result);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(result);
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => bestScore(b) - bestScore(a))
+    .map(group => group.sort((a, b) => chunkPosition(a) - chunkPosition(b)));
+}
+
+/**
+ * Merge runs of adjacent chunks (by chunkIndex) into single blocks
+ */
+function mergeConsecutive(group) {
+  const blocks = [];
+
+  for (const result of group) {
+    const meta = result.metadata || {};
+    const previous = blocks[blocks.length - 1];
+    const chunkIndex = meta.chunkIndex;
+
+    if (previous && chunkIndex !== undefined && chunkIndex === previous.lastChunkIndex + 1) {
+      previous.text = joinWithoutOverlap(previous.text, result.text || '');
+      previous.ids.push(result.id);
+      previous.chunkIndexes.push(chunkIndex);
+      previous.lastChunkIndex = chunkIndex;
+      previous.score = Math.max(previous.score, result.score);
+      if (meta.endLine) previous.endLine = meta.endLine;
+      continue;
+    }
+
+    blocks.push({
+      text: result.text || '',
+      ids: [result.id],
+      chunkIndexes: chunkIndex !== undefined ? [chunkIndex] : [],
+      lastChunkIndex: chunkIndex,
+      score: result.score,
+      metadata: meta,
+      startLine: meta.startLine,
+      endLine: meta.endLine,
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Join two chunks, dropping the text the second repeats from the first
+ */
+function joinWithoutOverlap(first, second) {
+  const maxOverlap = Math.min(first.length, second.length);
+  for (let length = maxOverlap; length >= MIN_OVERLAP; length--) {
+    if (first.endsWith(second.slice(0, length))) {
+      return first + second.slice(length);
+    }
+  }
+  return `${first}\n${second}`;
+}
+
+function truncateToTokens(text, tokens) {
+  const marker = '\n[...]';
+  const head = splitByTokens(text, Math.max(1, tokens - countTokens(marker)))[0];
+  // End at a line break unless that would drop more than half of what fits
+  const cut = head.lastIndexOf('\n');
+  return `${cut > head.length / 2 ? head.slice(0, cut) : head}${marker}`;
+}
+
+function formatHeader(block) {
+  const meta = block.metadata;
+  if (meta.type === 'code') {
+    return `Code: ${formatLocation({ ...meta, startLine: block.startLine, endLine: block.endLine })}`;
+  }
+  if (meta.type === 'conversation') return `${meta.role}`;
+  if (meta.type === 'documentation') return `Doc: ${meta.title}`;
+  return 'Context';
+}
+
+function bestScore(group) {
+  return Math.max(...group.map(r => r.score ?? 0));
+}
+
+function chunkPosition(result) {
+  return result.metadata?.chunkIndex ?? 0;
+}
@@ -1,5 +1,17 @@
-import { getIndex } from './pinecone.js';
+import { getVectorStore, getProjectStore, projectNamespace, listNamespaces, scanVectors } from './vector-store.js';
+import { matchesFilter } from './local-store.js';
 import { generateEmbedding, generateEmbeddings, chunkText } from './embeddings.js';
+import { chunkCode } from './code-chunker.js';
+import { encodeDocument, hybridQueryVectors } from './sparse.js';
+import { applyRetrievalStages, candidateCount } from './retrieval.js';
+import { buildContext } from './context-builder.js';
+import { cosineSimilarity } from './similarity.js';
+import { loadManifest, saveManifest } from './manifest.js';
+import { parseDuration } from './duration.js';
+import { guardSecrets, redactSecrets } from './secrets.js';
+import { partialFailure } from './retry.js';
+import { countTokens } from './tokenizer.js';
+import { config } from './config.js';
 import crypto from 'crypto';
 
 /**
@@ -15,37 +27,232 @@ function generateId(text, metadata = {}) {
 
 /**
  * Store context in Pinecone
+ * Secrets are masked (or the store refused) first, see guardSecrets.
  * @param {string} text - The text content to store
- * @param {object} metadata - Additional metadata (project, file, type, etc.)
+ * @param {object} metadata - Additional metadata (project, file, type, etc.);
+ *   expiresAt (Date, ISO string or epoch ms) makes the entry expire,
+ *   timestamp (ISO string) defaults to now
+ * @param {object} options - { chunks, ttl, dedupe, id }
+ *   chunks - pre-split chunks ({ text, ...chunkMetadata })
+ *   ttl - time to live instead of expiresAt, e.g. '7d' (see parseDuration)
+ *   dedupe - 'skip', 'merge' or 'replace' (true = DEDUPE_POLICY) to check
+ *     single-chunk text for a near-duplicate in the same project first
+ *   id - stable vector ID instead of one derived from the content; chunks
+ *     after the first get `${id}#${chunkIndex}`
+ * @returns {string[]} IDs of the stored (or matched) vectors
  */
-export async function storeContext(text, metadata = {}) {
-  const index = await getIndex();
+export async function storeContext(text, metadata = {}, options = {}) {
+  const { ids } = await storeContextDetailed(text, metadata, options);
+  return ids;
+}
+
+/**
+ * storeContext that also reports a near-duplicate it matched and the
+ * secrets it masked
+ * If only some chunks could be embedded or upserted, the others are still
+ * stored and the error has code 'PARTIAL_FAILURE', the stored `ids` and
+ * `failedChunks` ([{ chunkIndex, error }]).
+ * @returns {object} { ids, duplicate: { id, score, action } | null, redactions: [{ name, count }] }
+ */
+export async function storeContextDetailed(rawText, metadata = {}, options = {}) {
+  const index = await getProjectStore(metadata.project);
+
+  // Mask secrets before anything reaches the embedding provider or the index
+  const secretOptions = { project: metadata.project, source: metadata.filePath || metadata.title };
+  const { text, findings: redactions } = guardSecrets(rawText, secretOptions);
 
-  // Chunk if text is too long
-  const chunks = chunkText(text);
-  const embeddings = await generateEmbeddings(chunks);
+  // Expiry doesn't change what the entry is, so it stays out of the IDs
+  const { expiresAt: requestedExpiry, ...identity } = metadata;
+  const expiresAt = resolveExpiry(requestedExpiry, options.ttl);
+
+  // Chunk if text is too long, by the chunk size configured for its type
+  const { maxTokens, overlapTokens } = config.chunking;
+  const chunks = options.chunks
+    ? options.chunks.map(chunk => (redactions.length > 0 ? { ...chunk, text: redactSecrets(chunk.text, secretOptions).text } : chunk))
+    : chunkText(
+      text,
+      maxTokens[identity.type] ?? maxTokens.default,
+      overlapTokens[identity.type] ?? overlapTokens.default,
+    ).map(chunk => ({ text: chunk }));
+  const failedChunks = [];
+  let embeddings;
+  try {
+    embeddings = await generateEmbeddings(chunks.map(c => c.text));
+  } catch (error) {
+    if (error.code !== 'PARTIAL_FAILURE') throw error;
+    embeddings = error.embeddings;
+    failedChunks.push(...error.failed.map(i => ({ chunkIndex: i, error: error.cause.message })));
+  }
+
+  const policy = options.dedupe === true ? config.dedupe.policy : options.dedupe;
+  if (policy && policy !== 'off' && chunks.length === 1) {
+    const duplicate = await findDuplicate(embeddings[0], identity.project);
+    if (duplicate) {
+      const newEntry = { text, metadata: { ...identity, ...(expiresAt && { expiresAt }) }, values: embeddings[0] };
+      await consolidate(duplicate, [newEntry], policy);
+      return {
+        ids: [duplicate.id],
+        duplicate: { id: duplicate.id, score: duplicate.score, action: policy },
+        redactions,
+      };
+    }
+  }
 
-  const vectors = chunks.map((chunk, i) => ({
-    id: generateId(chunk, { ...metadata, chunkIndex: i }),
+  // Shared by all chunks so they can be stitched back together later
+  const sourceId = options.id || generateId(text, identity).replace('ctx_', 'src_');
+  const chunkId = (chunk, i) => {
+    if (options.id) return i === 0 ? options.id : `${options.id}#${i}`;
+    return generateId(chunk, { ...identity, chunkIndex: i });
+  };
+
+  const vectors = chunks.map(({ text: chunk, ...chunkMetadata }, i) => ({
+    id: chunkId(chunk, i),
     values: embeddings[i],
+    ...(config.search.hybrid && sparseValuesFor(chunk)),
     metadata: {
-      ...metadata,
+      ...identity,
+      ...(expiresAt && { expiresAt }),
+      ...chunkMetadata,
       text: chunk,
+      tokenCount: countTokens(chunk),
+      sourceId,
       chunkIndex: i,
       totalChunks: chunks.length,
-      timestamp: new Date().toISOString(),
+      // Imported entries keep the time they originally happened
+      timestamp: identity.timestamp || new Date().toISOString(),
     },
-  }));
+  })).filter(vector => vector.values);
 
-  // Upsert in batches of 100
+  // Upsert in batches of 100 (the store limits how many run at once)
   const batchSize = 100;
+  const batches = [];
   for (let i = 0; i < vectors.length; i += batchSize) {
-    const batch = vectors.slice(i, i + batchSize);
-    await index.upsert(batch);
+    batches.push(vectors.slice(i, i + batchSize));
+  }
+  const results = await Promise.allSettled(batches.map(batch => index.upsert(batch)));
+
+  let firstError = null;
+  results.forEach((result, b) => {
+    if (result.status === 'fulfilled') return;
+    firstError ||= result.reason;
+    failedChunks.push(...batches[b].map(v => ({ chunkIndex: v.metadata.chunkIndex, error: result.reason.message })));
+  });
+
+  const failedIds = new Set(failedChunks.map(f => chunkId(chunks[f.chunkIndex].text, f.chunkIndex)));
+  const ids = vectors.map(v => v.id).filter(id => !failedIds.has(id));
+  if (failedChunks.length > 0) {
+    if (ids.length === 0 && firstError) throw firstError;
+    failedChunks.sort((a, b) => a.chunkIndex - b.chunkIndex);
+    throw partialFailure(
+      `Stored ${ids.length} of ${chunks.length} chunks; chunk(s) ${formatRanges(failedChunks.map(f => f.chunkIndex))} failed: ${failedChunks[0].error}`,
+      { ids, failedChunks },
+    );
+  }
+
+  return { ids, duplicate: null, redactions };
+}
+
+/**
+ * [0, 1, 2, 5] -> '0-2, 5'
+ */
+function formatRanges(numbers) {
+  const ranges = [];
+  for (const n of numbers) {
+    const last = ranges[ranges.length - 1];
+    if (last && n === last[1] + 1) last[1] = n;
+    else ranges.push([n, n]);
   }
+  return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(', ');
+}
+
+/**
+ * Closest live entry in the same project if it's similar enough to count
+ * as the same thing
+ */
+async function findDuplicate(embedding, project, threshold = config.dedupe.threshold) {
+  const filter = project ? { project: { $eq: project } } : { project: { $exists: false } };
+  const matches = await queryNamespaces(filter, {
+    vector: embedding,
+    topK: 5,
+    filter,
+    includeMetadata: true,
+  });
 
-  console.log(`Stored ${vectors.length} vector(s) for context`);
-  return vectors.map(v => v.id);
+  const match = matches.find(m => !isExpired(m.metadata));
+  if (!match || match.score < threshold) return null;
+  return { ...match, text: match.metadata?.text };
+}
+
+/**
+ * Fold newer near-duplicates into an existing entry, keeping its ID
+ *   skip - leave the existing entry as it is
+ *   merge - append text the existing entry doesn't already contain
+ *   replace - take the newest text and metadata
+ * @param {object} existing - { id, text, metadata, namespace }
+ * @param {Array} newer - Oldest first ({ text, metadata, values })
+ */
+async function consolidate(existing, newer, policy) {
+  if (policy === 'skip' || newer.length === 0) return;
+  if (policy !== 'merge' && policy !== 'replace') {
+    throw new Error(`Unknown dedupe policy: ${policy} (use skip, merge, replace or off)`);
+  }
+
+  const latest = newer[newer.length - 1];
+  const text = policy === 'merge'
+    ? newer.reduce((merged, entry) => mergeTexts(merged, entry.text), existing.text || '')
+    : latest.text;
+  if (text === existing.text && policy === 'merge') return;
+
+  const values = policy === 'replace' ? latest.values : await generateEmbedding(text);
+  const index = await getVectorStore();
+  await index.namespace(existing.namespace).upsert([{
+    id: existing.id,
+    values,
+    ...(config.search.hybrid && sparseValuesFor(text)),
+    metadata: {
+      ...existing.metadata,
+      ...newer.reduce((merged, entry) => ({ ...merged, ...entryFields(entry.metadata) }), {}),
+      text,
+      tokenCount: countTokens(text),
+      updatedAt: new Date().toISOString(),
+    },
+  }]);
+}
+
+// Metadata describing the entry itself, not how or when it was stored
+function entryFields(metadata = {}) {
+  const { text, tokenCount, sourceId, chunkIndex, totalChunks, timestamp, updatedAt, ...fields } = metadata;
+  return fields;
+}
+
+function mergeTexts(existing, addition) {
+  if (existing.includes(addition)) return existing;
+  if (addition.includes(existing)) return addition;
+  return `${existing}\n\n${addition}`;
+}
+
+/**
+ * Expiry as epoch milliseconds (a number, so Pinecone can range-filter it)
+ */
+function resolveExpiry(expiresAt, ttl) {
+  if (ttl) return Date.now() + parseDuration(ttl);
+  if (expiresAt === undefined || expiresAt === null) return undefined;
+
+  const time = typeof expiresAt === 'number' ? expiresAt : new Date(expiresAt).getTime();
+  if (Number.isNaN(time)) throw new Error(`Invalid expiresAt: ${expiresAt}`);
+  return time;
+}
+
+function isExpired(metadata, now = Date.now()) {
+  return typeof metadata?.expiresAt === 'number' && metadata.expiresAt <= now;
+}
+
+/**
+ * Sparse keyword vector for a chunk, omitted when it has no tokens
+ */
+function sparseValuesFor(text) {
+  const sparseValues = encodeDocument(text);
+  return sparseValues.indices.length > 0 ? { sparseValues } : null;
 }
 
 /**
@@ -53,25 +260,123 @@ export async function storeContext(text, metadata = {}) {
  * @param {string} query - The search query
  * @param {object} filter - Metadata filter (e.g., { project: 'rei-dashboard' })
  * @param {number} topK - Number of results to return
+ * @param {object} options - Retrieval options:
+ *   alpha - hybrid weighting, 1 = semantic only, 0 = keyword only
+ *   mmr - diversify results with Maximal Marginal Relevance
+ *   lambda - MMR trade-off, 1 = relevance only, 0 = diversity only
+ *   fetchK - candidates to over-fetch before reranking/MMR
+ *   reranker - reranker name ('pinecone', 'keyword') or async (query, results) => results
+ *   decay - weight recent entries higher (per-type half-lives from config)
+ * Expired entries are left out even before they are pruned.
  */
-export async function searchContext(query, filter = {}, topK = 5) {
-  const index = await getIndex();
-
+export async function searchContext(query, filter = {}, topK = 5, options = {}) {
   const queryEmbedding = await generateEmbedding(query);
+  const {
+    alpha = config.search.alpha,
+    mmr = config.retrieval.mmr,
+    reranker = config.retrieval.reranker,
+    decay = config.retrieval.decay.enabled,
+  } = options;
+  const queryVectors = config.search.hybrid
+    ? hybridQueryVectors(queryEmbedding, query, alpha)
+    : { vector: queryEmbedding };
 
-  const results = await index.query({
-    vector: queryEmbedding,
-    topK,
+  const matches = await queryNamespaces(filter, {
+    ...queryVectors,
+    topK: candidateCount(topK, { ...options, mmr, reranker, decay }),
     filter: Object.keys(filter).length > 0 ? filter : undefined,
     includeMetadata: true,
+    includeValues: mmr,
   });
 
-  return results.matches.map(match => ({
-    id: match.id,
-    score: match.score,
-    text: match.metadata?.text,
-    metadata: match.metadata,
-  }));
+  const candidates = matches
+    .filter(match => !isExpired(match.metadata))
+    .map(match => ({
+      id: match.id,
+      score: match.score,
+      text: match.metadata?.text,
+      metadata: match.metadata,
+      values: match.values,
+    }));
+
+  return applyRetrievalStages(query, queryEmbedding, candidates, { ...options, topK, mmr, reranker, decay });
+}
+
+/**
+ * Projects a filter is pinned to ('x', { $eq: 'x' } or { $in: [...] }, also
+ * inside a top-level $and), or null if it can match any project
+ */
+function filterProjects(filter = {}) {
+  const condition = filter.project;
+  if (typeof condition === 'string') return [condition];
+  if (typeof condition?.$eq === 'string') return [condition.$eq];
+  if (Array.isArray(condition?.$in)) return condition.$in;
+
+  for (const clause of filter.$and || []) {
+    const projects = filterProjects(clause);
+    if (projects) return projects;
+  }
+  return null;
+}
+
+/**
+ * Namespaces that can hold matches for a filter
+ * Without namespace-per-project mode that's just the default namespace.
+ * With it, the filtered projects' namespaces, or all of them, plus the
+ * default namespace while it still holds vectors that weren't migrated.
+ * The default namespace comes last: migrate-namespaces without
+ * --delete-source leaves copies there, and the project's copy wins.
+ */
+async function namespacesFor(filter = {}) {
+  if (!config.namespaces.perProject) return [''];
+
+  const existing = (await listNamespaces()).sort((a, b) => (a === '') - (b === ''));
+  const projects = filterProjects(filter);
+  if (!projects) return existing;
+  return existing.filter(ns => ns === '' || projects.includes(ns));
+}
+
+/**
+ * Query every namespace that can match and merge the results by score,
+ * each ID once
+ */
+async function queryNamespaces(filter, request) {
+  const index = await getVectorStore();
+  const namespaces = await namespacesFor(filter);
+
+  const responses = await Promise.all(namespaces.map(ns => index.namespace(ns).query(request)));
+  const matches = responses
+    .flatMap((response, i) => response.matches.map(match => ({ ...match, namespace: namespaces[i] })))
+    .sort((a, b) => b.score - a.score);
+  return uniqueById(matches).slice(0, request.topK);
+}
+
+/**
+ * Records matching a filter in every namespace that can hold them, each ID
+ * once (from the first namespace that has it)
+ * @yields {object} Records ({ id, values, sparseValues, metadata, namespace })
+ */
+async function* scanMatching(filter) {
+  const seen = new Set();
+  for (const namespace of await namespacesFor(filter)) {
+    for await (const records of scanVectors(namespace)) {
+      for (const record of records) {
+        if (seen.has(record.id)) continue;
+        seen.add(record.id);
+        if (matchesFilter(record.metadata, filter)) yield { ...record, namespace };
+      }
+    }
+  }
+}
+
+// The first of each ID, e.g. a migrated vector also left in the default namespace
+function uniqueById(items) {
+  const seen = new Set();
+  return items.filter(item => {
+    if (seen.has(item.id)) return false;
+    seen.add(item.id);
+    return true;
+  });
 }
 
 /**
@@ -86,14 +391,17 @@ export async function storeConversation(role, content, metadata = {}) {
 }
 
 /**
- * Store a code file
+ * Store a code file, chunked on function/class boundaries with line ranges
  */
 export async function storeCodeFile(filePath, content, metadata = {}) {
+  const language = getLanguageFromPath(filePath);
   return storeContext(content, {
     ...metadata,
     type: 'code',
     filePath,
-    language: getLanguageFromPath(filePath),
+    language,
+  }, {
+    chunks: chunkCode(content, language),
   });
 }
 
@@ -110,12 +418,16 @@ export async function storeDocumentation(title, content, metadata = {}) {
 
 /**
  * Get relevant context for a query (combines multiple types)
+ * @param {object} options - { project, types, topK, tokenBudget } plus searchContext options
+ * @returns {object} { all, grouped, contextString, citations }
  */
 export async function getRelevantContext(query, options = {}) {
   const {
     project = null,
     types = null,
     topK = 10,
+    tokenBudget,
+    ...searchOptions
   } = options;
 
   const filter = {};
@@ -124,7 +436,7 @@ export async function getRelevantContext(query, options = {}) {
     filter.type = { $in: types };
   }
 
-  const results = await searchContext(query, filter, topK);
+  const results = await searchContext(query, filter, topK, searchOptions);
 
   // Group by type for easier consumption
   const grouped = {
@@ -143,46 +455,225 @@ export async function getRelevantContext(query, options = {}) {
     }
   }
 
+  const context = buildContext(results, { tokenBudget });
+
   return {
     all: results,
     grouped,
-    contextString: formatContextForPrompt(results),
+    contextString: context.text,
+    citations: context.citations,
   };
 }
 
 /**
- * Format context results into a string for LLM prompt
+ * Fetch stored entries by ID
+ * @returns {Array} Entries found ({ id, text, metadata }), in the order requested
  */
-function formatContextForPrompt(results) {
-  if (results.length === 0) return '';
+export async function getContext(ids) {
+  const entries = await findEntries(ids);
+  return entries.map(({ namespace, ...entry }) => entry);
+}
 
-  const sections = results.map(r => {
-    const meta = r.metadata || {};
-    let header = '';
+/**
+ * Look up entries by ID in every namespace, noting where each was found
+ */
+async function findEntries(ids) {
+  const index = await getVectorStore();
+  const found = new Map();
 
-    if (meta.type === 'code') {
-      header = `[Code: ${meta.filePath}]`;
-    } else if (meta.type === 'conversation') {
-      header = `[${meta.role}]`;
-    } else if (meta.type === 'documentation') {
-      header = `[Doc: ${meta.title}]`;
-    } else {
-      header = `[Context]`;
+  for (const namespace of await namespacesFor()) {
+    const missing = ids.filter(id => !found.has(id));
+    if (missing.length === 0) break;
+
+    const { records = {} } = await index.namespace(namespace).fetch(missing);
+    for (const id of missing) {
+      if (records[id]) {
+        found.set(id, { id, text: records[id].metadata?.text, metadata: records[id].metadata, namespace });
+      }
     }
+  }
 
-    return `${header}\n${r.text}`;
-  });
+  return ids.filter(id => found.has(id)).map(id => found.get(id));
+}
 
-  return sections.join('\n\n---\n\n');
+/**
+ * List stored entries matching a metadata filter, newest first
+ * There is no list-by-filter API, so this pages through every record of the
+ * namespaces that can match (listPaginated: on Pinecone, a serverless index)
+ * and applies the filter here.
+ * @param {object} filter - Metadata filter (e.g., { project: 'rei-dashboard', type: 'decision' })
+ * @param {object} options - { limit (default 100, Infinity for all), includeExpired }
+ * @returns {Array} Entries ({ id, text, metadata })
+ */
+export async function listContext(filter = {}, options = {}) {
+  const { limit = 100, includeExpired = false } = options;
+  const entries = [];
+
+  for await (const { id, metadata } of scanMatching(filter)) {
+    if (!includeExpired && isExpired(metadata)) continue;
+    entries.push({ id, text: metadata?.text, metadata });
+  }
+
+  return entries
+    .sort((a, b) => entryTime(b).localeCompare(entryTime(a)))
+    .slice(0, limit);
+}
+
+function entryTime(entry) {
+  return entry.metadata?.updatedAt || entry.metadata?.timestamp || '';
+}
+
+/**
+ * Replace the text of an existing entry, keeping its ID
+ * The text is re-embedded as a single vector; metadata is merged over the old.
+ * Moving an entry to another project also moves it to that project's namespace.
+ * @returns {object|null} The updated entry, or null if the ID doesn't exist
+ */
+export async function updateContext(id, rawText, metadata = {}) {
+  const [existing] = await findEntries([id]);
+  if (!existing) return null;
+
+  const project = metadata.project || existing.metadata?.project;
+  const { text } = guardSecrets(rawText, { project });
+
+  const index = await getVectorStore();
+  const namespace = metadata.project && metadata.project !== existing.metadata?.project
+    ? projectNamespace(metadata.project)
+    : existing.namespace;
+  const embedding = await generateEmbedding(text);
+  const updatedMetadata = {
+    ...existing.metadata,
+    ...metadata,
+    text,
+    tokenCount: countTokens(text),
+    updatedAt: new Date().toISOString(),
+  };
+
+  await index.namespace(namespace).upsert([{
+    id,
+    values: embedding,
+    ...(config.search.hybrid && sparseValuesFor(text)),
+    metadata: updatedMetadata,
+  }]);
+  if (namespace !== existing.namespace) {
+    await index.namespace(existing.namespace).deleteMany([id]);
+  }
+
+  return { id, text, metadata: updatedMetadata };
 }
 
 /**
  * Delete context by filter
+ * In namespace-per-project mode a filter on just the project drops the
+ * project's whole namespace. Dropping a project also resets its indexing
+ * manifest, so the next `npm run index` re-embeds its files.
  */
 export async function deleteContext(filter) {
-  const index = await getIndex();
-  await index.deleteMany(filter);
-  console.log('Deleted context matching filter:', filter);
+  const index = await getVectorStore();
+  const projects = filterProjects(filter);
+  const projectOnly = Object.keys(filter).length === 1 && projects?.length === 1 && !filter.$and;
+
+  for (const namespace of await namespacesFor(filter)) {
+    if (projectOnly && namespace !== '') {
+      await index.namespace(namespace).deleteAll();
+    } else {
+      await index.namespace(namespace).deleteMany(filter);
+    }
+  }
+
+  if (projectOnly) {
+    saveManifest({ ...loadManifest(projects[0]), files: {} });
+  }
+}
+
+/**
+ * Delete entries whose expiresAt has passed
+ * @param {object} options - { dryRun } to only list them
+ * @returns {Array} The expired entries ({ id, text, metadata })
+ */
+export async function pruneExpired(options = {}) {
+  const filter = { expiresAt: { $lte: Date.now() } };
+  const expired = await listContext(filter, { limit: Infinity, includeExpired: true });
+
+  if (!options.dryRun && expired.length > 0) {
+    await deleteVectors(expired.map(entry => entry.id));
+  }
+  return expired;
+}
+
+/**
+ * Consolidate near-duplicate entries already stored in a project
+ * Entries are taken oldest first; each one similar enough to an earlier
+ * entry is folded into it with the given policy and then deleted. Only
+ * single-chunk entries are considered (chunks of longer content overlap).
+ * @param {object} options - { policy, threshold, types, dryRun }
+ * @returns {Array} Groups found ({ id, text, duplicates: [{ id, score, text }] })
+ */
+export async function dedupeProject(project, options = {}) {
+  const {
+    policy = config.dedupe.policy === 'off' ? 'skip' : config.dedupe.policy,
+    threshold = config.dedupe.threshold,
+    types = null,
+    dryRun = false,
+  } = options;
+
+  const filter = { project: { $eq: project } };
+  if (types && types.length > 0) filter.type = { $in: types };
+
+  // Every record of the project, not just the best matches of a query, so
+  // code chunks can't crowd out the entries that can be duplicates
+  const entries = [];
+  for await (const { id, values, metadata, namespace } of scanMatching(filter)) {
+    if (isExpired(metadata) || (metadata?.totalChunks ?? 1) > 1) continue;
+    entries.push({ id, values, metadata, namespace, text: metadata?.text });
+  }
+  entries.sort((a, b) => entryTime(a).localeCompare(entryTime(b)));
+
+  const groups = [];
+  for (const entry of entries) {
+    let best = null;
+    for (const group of groups) {
+      const score = cosineSimilarity(entry.values, group.entry.values);
+      if (score >= threshold && (!best || score > best.score)) best = { group, score };
+    }
+    if (best) {
+      best.group.duplicates.push({ ...entry, score: best.score });
+    } else {
+      groups.push({ entry, duplicates: [] });
+    }
+  }
+
+  const duplicated = groups.filter(group => group.duplicates.length > 0);
+  if (!dryRun) {
+    for (const { entry, duplicates } of duplicated) {
+      await consolidate(entry, duplicates, policy);
+      await deleteVectors(duplicates.map(d => d.id), { project });
+    }
+  }
+
+  return duplicated.map(({ entry, duplicates }) => ({
+    id: entry.id,
+    text: entry.text,
+    duplicates: duplicates.map(d => ({ id: d.id, score: d.score, text: d.text })),
+  }));
+}
+
+/**
+ * Delete specific vectors by ID
+ * @param {object} options - { project } to only look in that project's namespace
+ */
+export async function deleteVectors(ids, options = {}) {
+  if (ids.length === 0) return;
+  const index = await getVectorStore();
+  const filter = options.project ? { project: options.project } : {};
+
+  for (const namespace of await namespacesFor(filter)) {
+    // Delete in batches of 1000 (Pinecone's per-request limit)
+    const batchSize = 1000;
+    for (let i = 0; i < ids.length; i += batchSize) {
+      await index.namespace(namespace).deleteMany(ids.slice(i, i + batchSize));
+    }
+  }
 }
 
 /**
@@ -0,0 +1,336 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { execFileSync } from 'child_process';
+import { storeContext } from './context.js';
+import { indexFile, removeFile, DEFAULT_EXTENSIONS } from './indexer.js';
+import { loadManifest, loadManifests, saveManifest } from './manifest.js';
+import { config } from './config.js';
+
+/**
+ * What a deployed commit changed, for the index
+ *
+ * Each diff hunk is stored as a `change` entry linked to its commit, and the
+ * changed files themselves are re-indexed (deleted ones removed) in the
+ * project's manifest, so code search matches what was deployed.
+ */
+
+// Lockfiles and vendored code: large diffs nobody searches for
+const SKIP_PATHS = [/(^|\/)node_modules\//, /\.lock$/, /(^|\/)package-lock\.json$/, /(^|\/)pnpm-lock\.yaml$/];
+
+// Diffs can be far bigger than execFileSync's 1 MB default
+const MAX_BUFFER = 256 * 1024 * 1024;
+
+// feat and fix commits, breaking changes and commits touching 3+ files
+const DEFAULT_DECISIONS = { types: ['feat', 'fix'], breaking: true, minFiles: 3 };
+
+// Where every deployment went before projects could be mapped; kept while
+// there is no settings file so existing history stays in one project
+const LEGACY_PROJECT = 'rei-system';
+
+let settingsFile = null;
+
+function git(cwd, args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf-8', maxBuffer: MAX_BUFFER });
+}
+
+/**
+ * Settings for a repository from DEPLOY_SYNC_CONFIG:
+ * { defaultProject, decisions, repos: { [repo]: { project, decisions } } }
+ * where decisions is { types, breaking, minFiles } (minFiles 0 turns the
+ * file count rule off). Unmapped repos go to defaultProject, else a project
+ * named after the repo; without the file, everything goes to rei-system.
+ * @returns {object} { project, decisions }
+ */
+export function repoSettings(repoName) {
+  if (!settingsFile) {
+    const filePath = config.deploySync.configFile;
+    if (!fs.existsSync(filePath)) {
+      settingsFile = { defaultProject: LEGACY_PROJECT };
+    } else {
+      try {
+        settingsFile = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      } catch (error) {
+        throw new Error(`Invalid deploy-sync settings in ${filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  const repo = settingsFile.repos?.[repoName] || {};
+  return {
+    project: repo.project || settingsFile.defaultProject || repoName,
+    decisions: { ...DEFAULT_DECISIONS, ...settingsFile.decisions, ...repo.decisions },
+  };
+}
+
+/**
+ * Top-level directory of the repository containing repoPath
+ */
+export function getRepoRoot(repoPath = '.') {
+  return git(path.resolve(repoPath), ['rev-parse', '--show-toplevel']).trim();
+}
+
+/**
+ * Convert a GitHub push event payload into the commit details getGitInfo
+ * returns, for syncing from CI without a checkout
+ * Changed files are those of every pushed commit.
+ */
+export function gitInfoFromPushEvent(payload) {
+  if (payload.deleted) throw new Error(`Push event deletes ${payload.ref}; nothing was deployed`);
+  const head = payload.head_commit || payload.commits?.[payload.commits.length - 1];
+  if (!head) throw new Error('Push event has no head_commit; is this a push event payload?');
+
+  const commits = payload.commits?.length ? payload.commits : [head];
+  const files = { added: new Set(), modified: new Set(), removed: new Set() };
+  for (const commit of commits) {
+    for (const kind of Object.keys(files)) {
+      for (const file of commit[kind] || []) files[kind].add(file);
+    }
+  }
+
+  const ref = payload.ref || '';
+  // Tag pushes name the branch they were made on in base_ref, if anywhere
+  const branchRef = ref.startsWith('refs/heads/') ? ref : payload.base_ref || '';
+  const count = kind => `${files[kind].size} ${kind}`;
+  return {
+    commit: head.id.slice(0, 7),
+    fullCommit: head.id,
+    message: head.message.trim(),
+    author: head.author?.name || payload.pusher?.name || 'Unknown',
+    branch: branchRef.replace('refs/heads/', '') || 'unknown',
+    ...(ref.startsWith('refs/tags/') && { tag: ref.slice('refs/tags/'.length) }),
+    timestamp: head.timestamp,
+    repoName: payload.repository?.name || 'unknown',
+    changedFiles: [...new Set([...files.added, ...files.modified, ...files.removed])],
+    // The payload has no line counts
+    diffStats: `${commits.length} commit(s): ${count('added')}, ${count('modified')}, ${count('removed')} file(s)`
+      + (payload.compare ? `\n${payload.compare}` : ''),
+  };
+}
+
+/**
+ * Commits to backfill, oldest first
+ * @param {string} repoPath
+ * @param {object} options - { range: 'from..to' (default HEAD), since: date,
+ *   per: 'commit' | 'merge' | 'tag' }
+ * @returns {Array<{commit, tag}>} Full hashes; tag is set for per 'tag'
+ */
+export function listCommits(repoPath = '.', options = {}) {
+  const { range = 'HEAD', since, per = 'commit' } = options;
+  if (!['commit', 'merge', 'tag'].includes(per)) {
+    throw new Error(`Unknown backfill unit: ${per} (use commit, merge or tag)`);
+  }
+
+  const cwd = path.resolve(repoPath);
+  const args = ['rev-list', '--reverse'];
+  // Merges into the branch itself, not ones inside merged feature branches
+  if (per === 'merge') args.push('--merges', '--first-parent');
+  if (since) args.push(`--since=${since}`);
+  const commits = git(cwd, [...args, range, '--']).split('\n').filter(Boolean);
+  if (per !== 'tag') return commits.map(commit => ({ commit }));
+
+  // Annotated tags point at a tag object; %(*objectname) is its commit
+  const tagsByCommit = new Map();
+  const refs = git(cwd, ['for-each-ref', '--format=%(refname:short) %(objectname) %(*objectname)', 'refs/tags']);
+  for (const line of refs.split('\n').filter(Boolean)) {
+    const [tag, object, peeled] = line.split(' ');
+    const commit = peeled || object;
+    tagsByCommit.set(commit, [...(tagsByCommit.get(commit) || []), tag]);
+  }
+  return commits
+    .filter(commit => tagsByCommit.has(commit))
+    .map(commit => ({ commit, tag: tagsByCommit.get(commit).join(', ') }));
+}
+
+/**
+ * Files changed by a commit, with their diff hunks
+ * Merge commits are diffed against their first parent, i.e. what the merge
+ * brought into the branch.
+ * @returns {Array<{path, oldPath, status, binary, hunks}>} status is
+ *   added | modified | deleted | renamed; each hunk is
+ *   { header, oldStart, oldLines, newStart, newLines, text }
+ */
+export function getCommitChanges(repoPath = '.', commit = 'HEAD') {
+  const diff = git(path.resolve(repoPath), [
+    '-c', 'core.quotePath=false',
+    'diff-tree', '-p', '-M', '-r', '--root', '-m', '--first-parent',
+    '--no-commit-id', '--no-color', '--no-ext-diff', commit,
+  ]);
+  return parseDiff(diff);
+}
+
+/**
+ * Parse `git diff` output into files and hunks
+ */
+export function parseDiff(diff) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+
+  for (const line of diff.split('\n')) {
+    const start = line.match(/^diff --git a\/(.*) b\/(.*)$/);
+    if (start) {
+      file = { path: start[2], oldPath: start[1], status: 'modified', binary: false, hunks: [] };
+      files.push(file);
+      hunk = null;
+      continue;
+    }
+    if (!file) continue;
+
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      hunk = {
+        header: line,
+        oldStart: parseInt(header[1]),
+        oldLines: header[2] === undefined ? 1 : parseInt(header[2]),
+        newStart: parseInt(header[3]),
+        newLines: header[4] === undefined ? 1 : parseInt(header[4]),
+        lines: [line],
+      };
+      file.hunks.push(hunk);
+      continue;
+    }
+    if (hunk) {
+      if (/^[ +\-\\]/.test(line)) hunk.lines.push(line);
+      continue;
+    }
+
+    // Extended header lines before the first hunk
+    if (line.startsWith('new file mode')) file.status = 'added';
+    else if (line.startsWith('deleted file mode')) file.status = 'deleted';
+    else if (line.startsWith('rename from ')) file.oldPath = line.slice('rename from '.length);
+    else if (line.startsWith('rename to ')) {
+      file.path = line.slice('rename to '.length);
+      file.status = 'renamed';
+    } else if (line.startsWith('Binary files ')) file.binary = true;
+    // Names with spaces get a trailing tab
+    else if (line.startsWith('+++ b/')) file.path = line.slice('+++ b/'.length).replace(/\t$/, '');
+    else if (line.startsWith('--- a/')) file.oldPath = line.slice('--- a/'.length).replace(/\t$/, '');
+  }
+
+  for (const { hunks } of files) {
+    for (const h of hunks) {
+      h.text = h.lines.join('\n');
+      delete h.lines;
+    }
+  }
+  return files;
+}
+
+/**
+ * Store each diff hunk of a commit as a `change` entry
+ * IDs derive from the commit, file and hunk, so syncing a commit again
+ * overwrites its entries. Hunks refused for containing secrets
+ * (SECRETS_MODE=block) are left out.
+ * @param {object} gitInfo - Commit details from getGitInfo
+ * @param {Array} changes - From getCommitChanges
+ * @param {object} options - { project }
+ * @returns {object} { ids, blocked } - IDs of the stored vectors, paths with blocked hunks
+ */
+export async function storeChanges(gitInfo, changes, options = {}) {
+  const summary = gitInfo.message.split('\n')[0];
+  const ids = [];
+  const blocked = new Set();
+
+  for (const file of changes) {
+    if (file.binary || SKIP_PATHS.some(pattern => pattern.test(file.path))) continue;
+
+    const renamed = file.status === 'renamed' ? ` (from ${file.oldPath})` : '';
+    for (const [i, hunk] of file.hunks.entries()) {
+      const text = `CHANGE: ${gitInfo.repoName} ${gitInfo.commit} - ${file.path} (${file.status})${renamed}
+${summary}
+
+${hunk.text}`;
+
+      const metadata = {
+        type: 'change',
+        repo: gitInfo.repoName,
+        commit: gitInfo.commit,
+        fullCommit: gitInfo.fullCommit,
+        branch: gitInfo.branch,
+        author: gitInfo.author,
+        filePath: file.path,
+        changeType: file.status,
+        hunkIndex: i,
+        totalHunks: file.hunks.length,
+        // Lines in the new version of the file; deletions have none
+        ...(hunk.newLines > 0 && { startLine: hunk.newStart, endLine: hunk.newStart + hunk.newLines - 1 }),
+        ...(options.project && { project: options.project }),
+        // When the change was committed, not when it was synced
+        ...(gitInfo.timestamp && { timestamp: new Date(gitInfo.timestamp).toISOString() }),
+      };
+      const pathHash = crypto.createHash('md5').update(file.path).digest('hex').slice(0, 8);
+      try {
+        ids.push(...await storeContext(text, metadata, { id: `chg_${gitInfo.fullCommit}_${pathHash}_${i}` }));
+      } catch (error) {
+        if (error.code !== 'SECRET_DETECTED') throw error;
+        blocked.add(file.path);
+      }
+    }
+  }
+
+  return { ids, blocked: [...blocked] };
+}
+
+/**
+ * Project whose code index already holds files of a repository (the one
+ * with the most of them), or null if it hasn't been indexed
+ */
+export function indexedProjectFor(repoRoot) {
+  const prefix = path.resolve(repoRoot) + path.sep;
+  let best = null;
+  for (const manifest of loadManifests()) {
+    const count = Object.keys(manifest.files).filter(file => file.startsWith(prefix)).length;
+    if (count > 0 && (!best || count > best.count)) best = { name: manifest.name, count };
+  }
+  return best?.name || null;
+}
+
+/**
+ * Re-index the current contents of changed files and remove the vectors of
+ * deleted (and renamed-away) paths from the project's manifest
+ * Files go to the project that already indexed the repository (e.g. with
+ * npm run index -- --project), so they're updated rather than copied into
+ * a second project; options.project only applies to repositories not yet
+ * indexed.
+ * @param {string} repoRoot - From getRepoRoot; change paths are relative to it
+ * @param {Array} changes - From getCommitChanges
+ * @param {object} options - { project, extensions, onFile(file, status, error) }
+ * @returns {object} Summary with the project used, added, updated, skipped,
+ *   blocked, failed and removed paths, plus errors ({ [path]: message })
+ */
+export async function syncChangedFiles(repoRoot, changes, options = {}) {
+  const { extensions = DEFAULT_EXTENSIONS, onFile = null } = options;
+  const project = indexedProjectFor(repoRoot) || options.project || 'default';
+  const manifest = loadManifest(project);
+  const summary = { project, added: [], updated: [], skipped: [], blocked: [], failed: [], removed: [], errors: {} };
+  const indexable = file => extensions.some(ext => file.endsWith(ext));
+
+  const report = (file, status, error) => {
+    summary[status].push(file);
+    if (error) summary.errors[file] = error.message;
+    if (onFile) onFile(file, status, error);
+  };
+
+  for (const change of changes) {
+    const gone = change.status === 'deleted'
+      ? [change.path]
+      : change.status === 'renamed' ? [change.oldPath] : [];
+    for (const file of gone) {
+      const absPath = path.join(repoRoot, file);
+      if (await removeFile(manifest, absPath)) report(absPath, 'removed');
+    }
+
+    if (change.status === 'deleted' || change.binary || !indexable(change.path)) continue;
+    const absPath = path.join(repoRoot, change.path);
+    try {
+      report(absPath, await indexFile(absPath, { project, manifest }));
+    } catch (error) {
+      // Failed also covers files deleted or moved again since the commit
+      report(absPath, error.code === 'SECRET_DETECTED' ? 'blocked' : 'failed', error);
+    }
+  }
+
+  saveManifest(manifest);
+  return summary;
+}
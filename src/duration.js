@@ -0,0 +1,22 @@
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a duration like "90m", "12h", "7d", "2w" or "1y" into milliseconds
+ * Plain numbers are taken as milliseconds.
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') return value;
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhdwy])$/i);
+  if (!match) {
+    throw new Error(`Invalid duration: ${value} (expected e.g. 30m, 12h, 7d, 2w, 1y)`);
+  }
+  return parseFloat(match[1]) * UNITS[match[2].toLowerCase()];
+}
@@ -0,0 +1,161 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { config } from './config.js';
+
+/**
+ * Content-addressed embedding cache on disk
+ *
+ * One file per embedding (raw float32), named by a hash of the model and the
+ * text, so every process using the same DATA_DIR - CLI runs and the MCP
+ * server alike - shares it. Reads refresh a file's mtime; when the cache
+ * grows past EMBEDDING_CACHE_MAX_MB the least recently used files go first.
+ */
+
+const stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+
+// { bytes, entries } on disk, scanned on first use and kept up to date
+let usage = null;
+
+/**
+ * Cache key for a text embedded by a given model
+ * @param {string} model - Provider, model and dimensions, e.g. 'openai:text-embedding-3-small:1536'
+ */
+export function cacheKey(model, text) {
+  return crypto.createHash('sha256').update(`${model}\n${text}`).digest('hex');
+}
+
+/**
+ * Look up an embedding
+ * @returns {number[]|null}
+ */
+export function readCachedEmbedding(key) {
+  const filePath = entryPath(key);
+  try {
+    const buffer = fs.readFileSync(filePath);
+    const now = new Date();
+    fs.utimesSync(filePath, now, now);
+    stats.hits++;
+    return Array.from(new Float32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    stats.misses++;
+    return null;
+  }
+}
+
+/**
+ * Store an embedding, evicting old entries if the cache is over its limit
+ */
+export function writeCachedEmbedding(key, embedding) {
+  const filePath = entryPath(key);
+  const buffer = Buffer.from(new Float32Array(embedding).buffer);
+  const existed = fs.existsSync(filePath);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, buffer);
+  fs.renameSync(tmpPath, filePath);
+  stats.writes++;
+
+  const current = getUsage();
+  if (!existed) {
+    current.bytes += buffer.length;
+    current.entries++;
+  }
+  if (current.bytes > config.embeddingCache.maxBytes) evict();
+}
+
+/**
+ * Hit/miss counts for this process and the cache's size on disk
+ */
+export function getEmbeddingCacheStats() {
+  if (!config.embeddingCache.enabled) return { enabled: false, ...stats };
+  const { bytes, entries } = scan();
+  usage = { bytes, entries };
+  return {
+    enabled: true,
+    ...stats,
+    hitRate: stats.hits + stats.misses > 0 ? stats.hits / (stats.hits + stats.misses) : null,
+    entries,
+    bytes,
+    maxBytes: config.embeddingCache.maxBytes,
+  };
+}
+
+/**
+ * One-line summary for stats output
+ */
+export function formatEmbeddingCacheStats(cacheStats = getEmbeddingCacheStats()) {
+  if (!cacheStats.enabled) return 'off';
+  const mb = bytes => (bytes / 1024 / 1024).toFixed(1);
+  const rate = cacheStats.hitRate === null ? '' : ` (${Math.round(cacheStats.hitRate * 100)}% hit rate)`;
+  return `${cacheStats.entries} embeddings, ${mb(cacheStats.bytes)}/${mb(cacheStats.maxBytes)} MB; `
+    + `${cacheStats.hits} hits, ${cacheStats.misses} misses${rate}`;
+}
+
+/**
+ * Delete every cached embedding
+ */
+export function clearEmbeddingCache() {
+  fs.rmSync(config.embeddingCache.dir, { recursive: true, force: true });
+  usage = { bytes: 0, entries: 0 };
+}
+
+function entryPath(key) {
+  return path.join(config.embeddingCache.dir, key.slice(0, 2), `${key}.f32`);
+}
+
+function getUsage() {
+  if (!usage) {
+    const { bytes, entries } = scan();
+    usage = { bytes, entries };
+  }
+  return usage;
+}
+
+/**
+ * Every entry on disk with its size and last use
+ */
+function scan() {
+  const root = config.embeddingCache.dir;
+  const files = [];
+  if (fs.existsSync(root)) {
+    for (const dir of fs.readdirSync(root)) {
+      const dirPath = path.join(root, dir);
+      if (!fs.statSync(dirPath).isDirectory()) continue;
+      for (const name of fs.readdirSync(dirPath)) {
+        if (!name.endsWith('.f32')) continue;
+        const filePath = path.join(dirPath, name);
+        try {
+          const { size, mtimeMs } = fs.statSync(filePath);
+          files.push({ filePath, size, mtimeMs });
+        } catch {
+          // Evicted by another process meanwhile
+        }
+      }
+    }
+  }
+  return { files, bytes: files.reduce((sum, f) => sum + f.size, 0), entries: files.length };
+}
+
+/**
+ * Drop least recently used entries until the cache is at 90% of its limit,
+ * so eviction doesn't run again on the very next write
+ */
+function evict() {
+  const { files, bytes } = scan();
+  const target = config.embeddingCache.maxBytes * 0.9;
+  let remaining = bytes;
+  let entries = files.length;
+
+  files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+  for (const file of files) {
+    if (remaining <= target) break;
+    fs.rmSync(file.filePath, { force: true });
+    remaining -= file.size;
+    entries--;
+    stats.evictions++;
+  }
+  usage = { bytes: remaining, entries };
+}
@@ -0,0 +1,125 @@
+import OpenAI from 'openai';
+import crypto from 'crypto';
+
+// Native output dimensions of the OpenAI embedding models
+const OPENAI_MODEL_DIMENSIONS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536,
+};
+
+/**
+ * Embedding provider backed by the OpenAI API
+ * Besides embed and getDimensions, providers may declare maxBatchSize and
+ * maxBatchTokens, the most inputs and tokens generateEmbeddings sends at once.
+ * @param {object} options - { apiKey, model, dimensions }
+ */
+export function createOpenAIProvider(options = {}) {
+  const { apiKey, model = 'text-embedding-3-small', dimensions = null } = options;
+  // Retries are handled (and counted) by generateEmbeddings
+  const client = new OpenAI({ apiKey, maxRetries: 0 });
+
+  // Only the text-embedding-3 models accept a reduced output size
+  const supportsDimensions = model.startsWith('text-embedding-3');
+  if (dimensions && !supportsDimensions) {
+    throw new Error(`Model ${model} does not support custom dimensions`);
+  }
+
+  return {
+    name: 'openai',
+    model,
+    maxBatchSize: 2048,
+    maxBatchTokens: 300000,
+    async embed(texts) {
+      const response = await client.embeddings.create({
+        model,
+        input: texts,
+        ...(dimensions && { dimensions }),
+      });
+      return response.data.map(d => d.embedding);
+    },
+    async getDimensions() {
+      const known = dimensions || OPENAI_MODEL_DIMENSIONS[model];
+      if (!known) throw new Error(`Unknown dimensions for model ${model}, set EMBEDDING_DIMENSIONS`);
+      return known;
+    },
+  };
+}
+
+/**
+ * Embedding provider for any endpoint that speaks the OpenAI embeddings API
+ * (Ollama, LM Studio, vLLM, LocalAI, ...)
+ * @param {object} options - { baseURL, apiKey, model, dimensions }
+ */
+export function createOpenAICompatibleProvider(options = {}) {
+  const { baseURL, apiKey, model, dimensions = null } = options;
+  if (!baseURL) throw new Error('openai-compatible provider requires a baseURL');
+  if (!model) throw new Error('openai-compatible provider requires a model');
+
+  // Local servers usually ignore the key, but the client insists on one
+  const client = new OpenAI({ baseURL, apiKey: apiKey || 'not-needed', maxRetries: 0 });
+  let probedDimensions = dimensions;
+
+  const provider = {
+    name: 'openai-compatible',
+    model,
+    // Local servers embed sequentially and can time out on big requests
+    maxBatchSize: 64,
+    async embed(texts) {
+      const response = await client.embeddings.create({ model, input: texts });
+      return response.data.map(d => d.embedding);
+    },
+    async getDimensions() {
+      // Ask the endpoint once when the size isn't configured
+      if (!probedDimensions) {
+        const [probe] = await provider.embed(['dimension probe']);
+        probedDimensions = probe.length;
+      }
+      return probedDimensions;
+    },
+  };
+  return provider;
+}
+
+/**
+ * Deterministic offline embedder for tests and local experiments.
+ * Hashes words and character trigrams into a fixed-size vector, so texts
+ * sharing vocabulary land close together. No network, no API key.
+ * @param {object} options - { dimensions }
+ */
+export function createHashProvider(options = {}) {
+  const { dimensions = 256 } = options;
+
+  function embedOne(text) {
+    const vector = new Array(dimensions).fill(0);
+    const words = text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+
+    for (const word of words) {
+      const features = [word];
+      const padded = `#${word}#`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        features.push(padded.slice(i, i + 3));
+      }
+      for (const feature of features) {
+        const hash = crypto.createHash('md5').update(feature).digest();
+        const slot = hash.readUInt32LE(0) % dimensions;
+        const sign = hash[4] & 1 ? 1 : -1;
+        vector[slot] += sign;
+      }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map(v => v / norm) : vector;
+  }
+
+  return {
+    name: 'hash',
+    model: `hash-${dimensions}`,
+    async embed(texts) {
+      return texts.map(embedOne);
+    },
+    async getDimensions() {
+      return dimensions;
+    },
+  };
+}
@@ -1,73 +1,220 @@
-import OpenAI from 'openai';
 import { config } from './config.js';
+import {
+  createOpenAIProvider,
+  createOpenAICompatibleProvider,
+  createHashProvider,
+} from './embedding-providers.js';
+import { cacheKey, readCachedEmbedding, writeCachedEmbedding } from './embedding-cache.js';
+import { countTokens, splitByTokens } from './tokenizer.js';
+import { withRetry, createLimiter, partialFailure } from './retry.js';
 
-let openaiClient = null;
+/**
+ * Embedding providers, keyed by the EMBEDDING_PROVIDER config value.
+ * Each factory returns { name, model, embed(texts), getDimensions() }.
+ */
+const providers = {
+  openai: () => createOpenAIProvider({
+    apiKey: config.openai.apiKey,
+    model: config.embeddings.model || config.openai.embeddingModel,
+    dimensions: config.embeddings.dimensions,
+  }),
+  'openai-compatible': () => createOpenAICompatibleProvider({
+    baseURL: config.embeddings.baseURL,
+    apiKey: config.embeddings.apiKey,
+    model: config.embeddings.model,
+    dimensions: config.embeddings.dimensions,
+  }),
+  hash: () => createHashProvider({
+    dimensions: config.embeddings.dimensions || undefined,
+  }),
+};
+
+let embeddingProvider = null;
+
+const limitEmbeddings = createLimiter(config.requests.embeddingConcurrency);
+
+// Short-lived in-memory cache for single-text (query) embeddings, in front
+// of the disk cache
+const queryCache = new Map();
+const QUERY_CACHE_TTL = 300000; // 5 minutes
+const QUERY_CACHE_SIZE = 100;
 
 /**
- * Get OpenAI client (lazy initialization)
+ * Register a custom embedding provider
  */
-function getOpenAI() {
-  if (!openaiClient) {
-    openaiClient = new OpenAI({
-      apiKey: config.openai.apiKey,
-    });
+export function registerEmbeddingProvider(name, factory) {
+  providers[name] = factory;
+}
+
+/**
+ * Get the configured embedding provider (lazy initialization)
+ */
+export function getEmbeddingProvider() {
+  if (!embeddingProvider) {
+    const factory = providers[config.embeddings.provider];
+    if (!factory) {
+      throw new Error(`Unknown embedding provider: ${config.embeddings.provider} (available: ${Object.keys(providers).join(', ')})`);
+    }
+    embeddingProvider = factory();
   }
-  return openaiClient;
+  return embeddingProvider;
 }
 
 /**
- * Generate embedding for a single text
+ * Get the vector dimension of the configured embedding provider
+ */
+export async function getEmbeddingDimensions() {
+  return getEmbeddingProvider().getDimensions();
+}
+
+/**
+ * Generate embedding for a single text (cached in memory)
  */
 export async function generateEmbedding(text) {
-  const openai = getOpenAI();
+  const cached = queryCache.get(text);
+  if (cached && Date.now() < cached.expiresAt) return cached.embedding;
 
-  const response = await openai.embeddings.create({
-    model: config.openai.embeddingModel,
-    input: text,
-  });
+  const [embedding] = await generateEmbeddings([text]);
 
-  return response.data[0].embedding;
+  // Limit cache size
+  if (queryCache.size >= QUERY_CACHE_SIZE) {
+    queryCache.delete(queryCache.keys().next().value);
+  }
+  queryCache.set(text, { embedding, expiresAt: Date.now() + QUERY_CACHE_TTL });
+  return embedding;
 }
 
 /**
  * Generate embeddings for multiple texts (batch)
+ * Texts already in the disk cache aren't sent to the provider again. The
+ * rest go out in batches within the provider's input and token limits,
+ * retried on rate limits and transient errors.
+ * If some batches still fail, the error has code 'PARTIAL_FAILURE', the
+ * indexes of the texts that weren't embedded in `failed` and the others'
+ * embeddings in `embeddings` (null where missing).
  */
 export async function generateEmbeddings(texts) {
-  const openai = getOpenAI();
+  const provider = getEmbeddingProvider();
+  const cached = config.embeddingCache.enabled;
 
-  const response = await openai.embeddings.create({
-    model: config.openai.embeddingModel,
-    input: texts,
+  const model = `${provider.name}:${provider.model}:${config.embeddings.dimensions || 'native'}`;
+  const keys = cached ? texts.map(text => cacheKey(model, text)) : [];
+  const embeddings = cached ? keys.map(readCachedEmbedding) : texts.map(() => null);
+
+  const missing = embeddings.map((embedding, i) => (embedding ? null : i)).filter(i => i !== null);
+  const batches = splitBatches(missing, texts, {
+    maxInputs: config.embeddings.batchSize || provider.maxBatchSize || Infinity,
+    maxTokens: config.embeddings.batchTokens || provider.maxBatchTokens || Infinity,
   });
 
-  return response.data.map(d => d.embedding);
+  const results = await Promise.allSettled(batches.map(batch => limitEmbeddings(async () => {
+    const fresh = await withRetry(() => provider.embed(batch.map(i => texts[i])), { label: 'Embedding request' });
+    batch.forEach((i, j) => {
+      embeddings[i] = fresh[j];
+      if (cached) writeCachedEmbedding(keys[i], fresh[j]);
+    });
+  })));
+
+  const failedBatches = results.map((result, b) => ({ result, batch: batches[b] })).filter(({ result }) => result.status === 'rejected');
+  if (failedBatches.length > 0) {
+    const failed = failedBatches.flatMap(({ batch }) => batch).sort((a, b) => a - b);
+    const reason = failedBatches[0].result.reason;
+    if (failed.length === texts.length) throw reason;
+    throw partialFailure(`Embedded ${texts.length - failed.length} of ${texts.length} texts: ${reason.message}`, {
+      failed,
+      embeddings,
+      cause: reason,
+    });
+  }
+  return embeddings;
 }
 
 /**
- * Chunk text into smaller pieces for embedding
+ * Group text indexes into batches of at most maxInputs texts and maxTokens
+ * tokens; a text over the token limit goes out on its own
  */
-export function chunkText(text, maxChunkSize = 1000, overlap = 100) {
-  const chunks = [];
-  let start = 0;
-
-  while (start < text.length) {
-    let end = start + maxChunkSize;
-
-    // Try to break at a sentence or paragraph boundary
-    if (end < text.length) {
-      const breakPoints = ['\n\n', '\n', '. ', '! ', '? '];
-      for (const bp of breakPoints) {
-        const lastBreak = text.lastIndexOf(bp, end);
-        if (lastBreak > start + maxChunkSize / 2) {
-          end = lastBreak + bp.length;
-          break;
-        }
-      }
+function splitBatches(indexes, texts, { maxInputs, maxTokens }) {
+  const batches = [];
+  let batch = [];
+  let tokens = 0;
+
+  for (const i of indexes) {
+    const textTokens = countTokens(texts[i]);
+    if (batch.length > 0 && (batch.length >= maxInputs || tokens + textTokens > maxTokens)) {
+      batches.push(batch);
+      batch = [];
+      tokens = 0;
     }
+    batch.push(i);
+    tokens += textTokens;
+  }
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+}
+
+// Break points from coarsest to finest; each piece keeps its separator
+const SEPARATORS = ['\n\n', '\n', '. ', '! ', '? ', ' '];
 
-    chunks.push(text.slice(start, end).trim());
-    start = end - overlap;
+/**
+ * Chunk text into pieces of at most maxTokens tokens for embedding
+ * Chunks end at the coarsest boundary that fits (paragraph, line, sentence,
+ * word) and start with the last overlapTokens tokens of the chunk before,
+ * at most half the chunk.
+ * @param {string} text
+ * @param {number} maxTokens - Tokens of the embedding model per chunk
+ * @param {number} overlapTokens - Tokens repeated from the previous chunk
+ */
+export function chunkText(text, maxTokens = config.chunking.maxTokens.default, overlapTokens = config.chunking.overlapTokens.default) {
+  if (countTokens(text) <= maxTokens) return text.trim() ? [text.trim()] : [];
+
+  // An overlap as large as the chunk would leave no room for new text
+  // (e.g. CHUNK_TOKENS=note=25 with the default overlap of 25)
+  overlapTokens = Math.max(0, Math.min(overlapTokens, Math.floor(maxTokens / 2)));
+  const pieces = splitPieces(text, maxTokens - overlapTokens, 0);
+  const chunks = [];
+  let current = '';
+  let currentTokens = 0;
+
+  for (const piece of pieces) {
+    const pieceTokens = countTokens(piece);
+    if (current.trim() && currentTokens + pieceTokens > maxTokens) {
+      chunks.push(current);
+      current = tailTokens(current, overlapTokens);
+      currentTokens = countTokens(current);
+    }
+    current += piece;
+    currentTokens += pieceTokens;
   }
+  chunks.push(current);
 
-  return chunks.filter(c => c.length > 0);
+  return chunks.map(chunk => chunk.trim()).filter(chunk => chunk.length > 0);
+}
+
+/**
+ * Split text at the coarsest separator that yields pieces under maxTokens
+ */
+function splitPieces(text, maxTokens, level) {
+  if (countTokens(text) <= maxTokens) return [text];
+  if (level >= SEPARATORS.length) return splitByTokens(text, maxTokens);
+
+  const separator = SEPARATORS[level];
+  const parts = text.split(separator)
+    .map((part, i, all) => (i < all.length - 1 ? part + separator : part))
+    .filter(part => part.length > 0);
+  return parts.flatMap(part => splitPieces(part, maxTokens, level + 1));
+}
+
+/**
+ * The trailing whole words of a chunk that fit in maxTokens
+ */
+function tailTokens(text, maxTokens) {
+  if (maxTokens <= 0) return '';
+  const words = text.split(/(?<=\s)/);
+  let tail = '';
+  for (let i = words.length - 1; i >= 0; i--) {
+    const candidate = words[i] + tail;
+    if (countTokens(candidate) > maxTokens) break;
+    tail = candidate;
+  }
+  return tail;
 }
@@ -0,0 +1,134 @@
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+/**
+ * Git hooks and a CI step that run deploy-sync automatically
+ *
+ * post-merge syncs after a merge or pull lands on the deploy branch. Git has
+ * no post-push hook, so pushes are synced from pre-push, before the remote
+ * has accepted them; that sync runs in the background so the push doesn't
+ * wait for it. Hooks never fail the git command they run in.
+ */
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MARKER = '# pinecone-context deploy-sync hook';
+
+export const HOOKS = ['post-merge', 'pre-push'];
+
+/**
+ * Write deploy-sync hooks into a repository
+ * A hook file that wasn't written by this installer is left alone unless
+ * force is set.
+ * @param {string} repoPath
+ * @param {object} options - { branch, project, hooks, force }
+ * @returns {Array<{hook, path, status}>} status is installed | updated | skipped
+ */
+export function installHooks(repoPath = '.', options = {}) {
+  const cwd = path.resolve(repoPath);
+  const { branch = defaultBranch(cwd), project, hooks = HOOKS, force = false } = options;
+
+  // Respects core.hooksPath
+  const hooksDir = path.resolve(cwd, execFileSync('git', ['rev-parse', '--git-path', 'hooks'], { cwd, encoding: 'utf-8' }).trim());
+  if (fs.existsSync(hooksDir) && !fs.statSync(hooksDir).isDirectory()) {
+    throw new Error(`Hooks are disabled for ${cwd}: core.hooksPath is ${hooksDir}`);
+  }
+  fs.mkdirSync(hooksDir, { recursive: true });
+
+  return hooks.map(hook => {
+    if (!HOOKS.includes(hook)) throw new Error(`Unknown hook: ${hook} (use ${HOOKS.join(' or ')})`);
+
+    const hookPath = path.join(hooksDir, hook);
+    const existing = fs.existsSync(hookPath) ? fs.readFileSync(hookPath, 'utf-8') : null;
+    if (existing !== null && !existing.includes(MARKER) && !force) {
+      return { hook, path: hookPath, status: 'skipped' };
+    }
+
+    fs.writeFileSync(hookPath, renderHook(hook, { branch, project }), { mode: 0o755 });
+    fs.chmodSync(hookPath, 0o755);
+    return { hook, path: hookPath, status: existing === null ? 'installed' : 'updated' };
+  });
+}
+
+/**
+ * Shell step for any CI system, run after a deploy
+ * Uses the push event on GitHub Actions and the checked-out repository
+ * elsewhere.
+ */
+export function renderCiStep(options = {}) {
+  const projectArg = options.project ? ` --project ${shellQuote(options.project)}` : '';
+  return `#!/bin/sh
+# Deployment sync CI step (generated by npm run install-hooks -- --ci)
+#
+# Run it after a successful deploy. It needs Node 20+, pinecone-context
+# checked out at $PINECONE_CONTEXT_DIR, and PINECONE_API_KEY plus the
+# embedding provider's settings (e.g. OPENAI_API_KEY) in the environment.
+set -e
+cd "$PINECONE_CONTEXT_DIR"
+npm install --omit=dev --no-audit --no-fund
+
+if [ -n "$GITHUB_EVENT_PATH" ] && [ "$GITHUB_EVENT_NAME" = "push" ]; then
+  # GitHub Actions: read the push event, no .git directory needed
+  npm run deploy-sync -- --event "$GITHUB_EVENT_PATH" --no-claude-md${projectArg}
+else
+  # Elsewhere: the deployed repository's checkout
+  npm run deploy-sync -- --auto --path "\${REPO_DIR:-$CI_PROJECT_DIR}" --no-claude-md${projectArg}
+fi
+`;
+}
+
+function renderHook(hook, { branch, project }) {
+  const args = ['--auto', '--path', '"$REPO"', ...(project ? ['--project', shellQuote(project)] : [])].join(' ');
+  const header = `#!/bin/sh
+${MARKER} (npm run install-hooks); reinstalling overwrites this file
+# Syncs deployments of ${branch} into the context index. Never fails the ${hook === 'pre-push' ? 'push' : 'merge'}.
+BRANCH=${shellQuote(branch)}
+REPO="$(git rev-parse --show-toplevel)"
+
+sync() {
+  # From pinecone-context's directory, so its .env is loaded
+  (cd ${shellQuote(ROOT_DIR)} && ${shellQuote(process.execPath)} src/scripts/deployment-sync.js ${args} < /dev/null) \\
+    || echo "deploy-sync failed; run it again with: npm run deploy-sync -- --auto --path $REPO" >&2
+}
+`;
+
+  if (hook === 'post-merge') {
+    return `${header}
+[ "$(git rev-parse --abbrev-ref HEAD)" = "$BRANCH" ] && sync
+exit 0
+`;
+  }
+
+  // pre-push gets "<local ref> <local sha> <remote ref> <remote sha>" per pushed ref;
+  // --auto syncs HEAD, so only a push of the checked-out commit is synced.
+  // Embedding and re-indexing can take a while, so the push doesn't wait.
+  return `${header}
+HEAD_SHA="$(git rev-parse HEAD)"
+while read -r local_ref local_sha remote_ref remote_sha; do
+  if [ "$remote_ref" = "refs/heads/$BRANCH" ] && [ "$local_sha" = "$HEAD_SHA" ]; then
+    echo "deploy-sync: syncing $HEAD_SHA in the background" >&2
+    sync &
+  fi
+done
+exit 0
+`;
+}
+
+/**
+ * Branch origin/HEAD points at, else the checked-out branch
+ */
+function defaultBranch(cwd) {
+  try {
+    const ref = execFileSync('git', ['symbolic-ref', '--short', 'refs/remotes/origin/HEAD'], {
+      cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'],
+    }).trim();
+    return ref.replace(/^origin\//, '');
+  } catch {
+    return execFileSync('git', ['rev-parse', '--abbrev-ref', 'HEAD'], { cwd, encoding: 'utf-8' }).trim();
+  }
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
@@ -8,16 +8,90 @@ export {
   getIndexStats,
 } from './pinecone.js';
 export {
+  getVectorStore,
+  getStoreStats,
+  registerVectorStore,
+  getProjectStore,
+  projectNamespace,
+  listNamespaces,
+  scanVectors,
+} from './vector-store.js';
+export { getLocalIndex, matchesFilter } from './local-store.js';
+export {
+  getEmbeddingProvider,
+  getEmbeddingDimensions,
+  registerEmbeddingProvider,
   generateEmbedding,
   generateEmbeddings,
   chunkText,
 } from './embeddings.js';
+export {
+  getEmbeddingCacheStats,
+  formatEmbeddingCacheStats,
+  clearEmbeddingCache,
+} from './embedding-cache.js';
+export { countTokens } from './tokenizer.js';
+export {
+  createOpenAIProvider,
+  createOpenAICompatibleProvider,
+  createHashProvider,
+} from './embedding-providers.js';
 export {
   storeContext,
+  storeContextDetailed,
   searchContext,
   storeConversation,
   storeCodeFile,
   storeDocumentation,
   getRelevantContext,
+  getContext,
+  listContext,
+  updateContext,
   deleteContext,
+  pruneExpired,
+  dedupeProject,
+  deleteVectors,
 } from './context.js';
+export {
+  buildContext,
+  estimateTokens,
+  formatLocation,
+} from './context-builder.js';
+export { chunkCode, supportsLanguage } from './code-chunker.js';
+export {
+  tokenize,
+  encodeDocument,
+  encodeQuery,
+  hybridQueryVectors,
+} from './sparse.js';
+export {
+  registerReranker,
+  applyRetrievalStages,
+  applyTimeDecay,
+  maximalMarginalRelevance,
+} from './retrieval.js';
+export { parseDuration } from './duration.js';
+export {
+  indexFile,
+  indexDirectory,
+  getAllFiles,
+} from './indexer.js';
+export { loadManifest, loadManifests, saveManifest } from './manifest.js';
+export { exportContext, importContext, readExportHeader } from './backup.js';
+export { importTranscripts, findTranscripts } from './transcripts.js';
+export { syncMemories, renderContent } from './memories.js';
+export {
+  repoSettings,
+  gitInfoFromPushEvent,
+  listCommits,
+  getCommitChanges,
+  parseDiff,
+  storeChanges,
+  syncChangedFiles,
+  indexedProjectFor,
+} from './deployments.js';
+export { parseCommitMessage, analyzeCommit } from './commits.js';
+export { installHooks, renderCiStep } from './hooks.js';
+export { parseRecentDeployments, updateRecentDeployments, diffLines } from './claude-md.js';
+export { redactSecrets, guardSecrets, registerSecretPattern } from './secrets.js';
+export { withRetry, isRetryable, createLimiter } from './retry.js';
@@ -0,0 +1,150 @@
+import fs from 'fs';
+import path from 'path';
+import { storeCodeFile, storeDocumentation, deleteVectors } from './context.js';
+import { loadManifest, saveManifest, hashContent } from './manifest.js';
+
+export const DEFAULT_EXTENSIONS = ['.js', '.ts', '.py', '.md'];
+
+// Common non-code directories
+const SKIP_DIRS = ['node_modules', '.git', 'dist', 'build', '__pycache__'];
+
+/**
+ * Index a single file, skipping it if its content hasn't changed since the
+ * last run and replacing its old vectors if it has.
+ * @returns {string} 'added' | 'updated' | 'skipped'
+ */
+export async function indexFile(filePath, options = {}) {
+  const { project = 'default', type = 'code', force = false } = options;
+  const manifest = options.manifest || loadManifest(project);
+
+  const absPath = path.resolve(filePath);
+  try {
+    return await indexIntoManifest(manifest, absPath, { project, type, force });
+  } finally {
+    // Also after a partial failure, which records the chunks that were stored
+    if (!options.manifest) saveManifest(manifest);
+  }
+}
+
+/**
+ * Incrementally index a directory against the project's manifest
+ * Unchanged files are skipped, changed files re-embedded with their old
+ * vectors removed, and vectors for files deleted from disk are removed.
+ * Files refused for containing secrets (SECRETS_MODE=block) are reported
+ * as blocked, and files that couldn't be (fully) stored even after retries
+ * as failed; the rest of the directory is still indexed and the failed
+ * files are retried on the next run.
+ * @param {string} dirPath - Directory to walk
+ * @param {object} options - { project, extensions, force, onFile(file, status, error) }
+ * @returns {object} Summary with added, updated, skipped, blocked, failed and
+ *   removed paths, plus errors ({ [path]: message })
+ */
+export async function indexDirectory(dirPath, options = {}) {
+  const {
+    project = 'default',
+    extensions = DEFAULT_EXTENSIONS,
+    force = false,
+    onFile = null,
+  } = options;
+
+  const absDir = path.resolve(dirPath);
+  const manifest = loadManifest(project);
+  const summary = { added: [], updated: [], skipped: [], blocked: [], failed: [], removed: [], errors: {} };
+
+  const files = getAllFiles(absDir, extensions);
+  for (const file of files) {
+    let status;
+    let fileError;
+    try {
+      status = await indexIntoManifest(manifest, file, { project, type: 'code', force });
+    } catch (error) {
+      status = error.code === 'SECRET_DETECTED' ? 'blocked' : 'failed';
+      fileError = error;
+      summary.errors[file] = error.message;
+    }
+    summary[status].push(file);
+    // Save as we go so an interrupted run doesn't redo finished files
+    if (status !== 'skipped') saveManifest(manifest);
+    if (onFile) onFile(file, status, fileError);
+  }
+
+  // Remove vectors for files under this directory that no longer exist
+  for (const file of Object.keys(manifest.files)) {
+    if (file.startsWith(absDir + path.sep) && !fs.existsSync(file)) {
+      await removeFile(manifest, file);
+      summary.removed.push(file);
+      if (onFile) onFile(file, 'removed');
+    }
+  }
+
+  saveManifest(manifest);
+  return summary;
+}
+
+/**
+ * Remove a file's vectors and forget it in the manifest
+ */
+export async function removeFile(manifest, filePath) {
+  const entry = manifest.files[filePath];
+  if (!entry) return false;
+  await deleteVectors(entry.ids, { project: manifest.name });
+  delete manifest.files[filePath];
+  return true;
+}
+
+async function indexIntoManifest(manifest, filePath, { project, type, force }) {
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const hash = hashContent(content);
+  const entry = manifest.files[filePath];
+
+  if (entry && entry.hash === hash && !force) return 'skipped';
+
+  const metadata = { project };
+  let ids;
+  let partialError = null;
+  try {
+    ids = type === 'doc'
+      ? await storeDocumentation(path.basename(filePath), content, metadata)
+      : await storeCodeFile(filePath, content, metadata);
+  } catch (error) {
+    if (error.code !== 'PARTIAL_FAILURE') throw error;
+    ids = error.ids;
+    partialError = error;
+  }
+
+  // Store first, then drop the old chunks that weren't reproduced, so old
+  // and new versions of the file are never searchable side by side
+  if (entry) {
+    await deleteVectors(entry.ids.filter(id => !ids.includes(id)), { project });
+  }
+
+  // A partly stored file keeps its stored ids (so they can be removed) but
+  // no hash, so the next run stores it again
+  manifest.files[filePath] = { hash: partialError ? null : hash, ids, indexedAt: new Date().toISOString() };
+  if (partialError) throw partialError;
+  return entry ? 'updated' : 'added';
+}
+
+/**
+ * Recursively list files with the given extensions
+ */
+export function getAllFiles(dir, extensions) {
+  const files = [];
+
+  function walk(currentDir) {
+    const items = fs.readdirSync(currentDir, { withFileTypes: true });
+    for (const item of items) {
+      const fullPath = path.join(currentDir, item.name);
+      if (item.isDirectory()) {
+        if (!SKIP_DIRS.includes(item.name)) {
+          walk(fullPath);
+        }
+      } else if (extensions.some(ext => item.name.endsWith(ext))) {
+        files.push(fullPath);
+      }
+    }
+  }
+
+  walk(dir);
+  return files;
+}
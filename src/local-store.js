@@ -0,0 +1,219 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+import { cosineSimilarity, sparseDotProduct } from './similarity.js';
+
+/**
+ * File-backed vector store with the subset of the Pinecone index API we use.
+ * Vectors are kept in memory and written to a JSON file after each change,
+ * so it is only meant for offline work, CI and small experiments.
+ * Like a Pinecone index, it starts out on the default namespace ('');
+ * namespace(name) returns a view on another one sharing the same file.
+ */
+class LocalIndex {
+  constructor(filePath, namespaceName = '', root = null) {
+    this.filePath = filePath;
+    this.namespaceName = namespaceName;
+    this.root = root || this;
+    this.data = null;
+  }
+
+  namespace(name) {
+    return new LocalIndex(this.filePath, name, this.root);
+  }
+
+  load() {
+    const root = this.root;
+    if (!root.data) {
+      root.data = fs.existsSync(root.filePath)
+        ? JSON.parse(fs.readFileSync(root.filePath, 'utf-8'))
+        : { dimension: null, records: {} };
+      root.data.namespaces = root.data.namespaces || {};
+    }
+    return root.data;
+  }
+
+  /**
+   * Records of this namespace; the default one lives at the top level
+   */
+  records() {
+    const data = this.load();
+    if (this.namespaceName === '') return data.records;
+    if (!data.namespaces[this.namespaceName]) data.namespaces[this.namespaceName] = {};
+    return data.namespaces[this.namespaceName];
+  }
+
+  save() {
+    const data = this.load();
+    // Drop emptied namespaces, like Pinecone does
+    for (const [name, records] of Object.entries(data.namespaces)) {
+      if (Object.keys(records).length === 0) delete data.namespaces[name];
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  async upsert(records) {
+    const data = this.load();
+    const stored = this.records();
+    for (const record of records) {
+      if (!record.id) throw new Error('Record is missing an id');
+      if (data.dimension === null) data.dimension = record.values.length;
+      if (record.values.length !== data.dimension) {
+        throw new Error(`Vector dimension ${record.values.length} does not match index dimension ${data.dimension}`);
+      }
+      stored[record.id] = {
+        id: record.id,
+        values: record.values,
+        ...(record.sparseValues && { sparseValues: record.sparseValues }),
+        metadata: record.metadata || {},
+      };
+    }
+    this.save();
+  }
+
+  async query({ vector, sparseVector, topK = 10, filter, includeMetadata = false, includeValues = false }) {
+    const matches = Object.values(this.records())
+      .filter(record => !filter || matchesFilter(record.metadata, filter))
+      .map(record => ({
+        id: record.id,
+        score: score(vector, sparseVector, record),
+        ...(includeValues && { values: record.values }),
+        ...(includeMetadata && { metadata: record.metadata }),
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+
+    return { matches, namespace: this.namespaceName };
+  }
+
+  async fetch(ids) {
+    const stored = this.records();
+    const records = {};
+    for (const id of ids) {
+      if (stored[id]) records[id] = stored[id];
+    }
+    return { records, namespace: this.namespaceName };
+  }
+
+  /**
+   * Page through IDs in ID order, like Pinecone's serverless listPaginated
+   */
+  async listPaginated({ prefix = '', limit = 100, paginationToken } = {}) {
+    const ids = Object.keys(this.records()).filter(id => id.startsWith(prefix)).sort();
+    const start = paginationToken ? parseInt(paginationToken, 10) : 0;
+    const end = start + limit;
+
+    return {
+      vectors: ids.slice(start, end).map(id => ({ id })),
+      pagination: end < ids.length ? { next: String(end) } : undefined,
+      namespace: this.namespaceName,
+    };
+  }
+
+  /**
+   * Delete by a list of IDs or by a metadata filter, like Pinecone's deleteMany
+   */
+  async deleteMany(idsOrFilter) {
+    const stored = this.records();
+
+    if (Array.isArray(idsOrFilter)) {
+      for (const id of idsOrFilter) delete stored[id];
+    } else {
+      for (const [id, record] of Object.entries(stored)) {
+        if (matchesFilter(record.metadata, idsOrFilter)) delete stored[id];
+      }
+    }
+    this.save();
+  }
+
+  /**
+   * Delete every record in this namespace
+   */
+  async deleteAll() {
+    const stored = this.records();
+    for (const id of Object.keys(stored)) delete stored[id];
+    this.save();
+  }
+
+  async describeIndexStats() {
+    const data = this.load();
+    const namespaces = {};
+    for (const [name, records] of [['', data.records], ...Object.entries(data.namespaces)]) {
+      const recordCount = Object.keys(records).length;
+      if (recordCount > 0) namespaces[name] = { recordCount };
+    }
+    return {
+      namespaces,
+      dimension: data.dimension,
+      indexFullness: 0,
+      totalRecordCount: Object.values(namespaces).reduce((sum, ns) => sum + ns.recordCount, 0),
+    };
+  }
+}
+
+const localIndexes = new Map();
+
+/**
+ * Get the local index for the configured index name (lazy initialization)
+ */
+export function getLocalIndex(indexName = config.pinecone.indexName) {
+  if (!localIndexes.has(indexName)) {
+    const filePath = path.join(config.local.dataDir, `${indexName}.json`);
+    localIndexes.set(indexName, new LocalIndex(filePath));
+  }
+  return localIndexes.get(indexName);
+}
+
+/**
+ * Check record metadata against a Pinecone-style filter
+ * Supports implicit equality, $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte,
+ * $exists, $and and $or. List-valued fields match if any element matches.
+ */
+export function matchesFilter(metadata = {}, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(f => matchesFilter(metadata, f));
+    if (key === '$or') return condition.some(f => matchesFilter(metadata, f));
+
+    const value = metadata[key];
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      return matchesOperator(value, '$eq', condition);
+    }
+    return Object.entries(condition).every(([op, operand]) => matchesOperator(value, op, operand));
+  });
+}
+
+function matchesOperator(value, op, operand) {
+  if (op === '$exists') return (value !== undefined) === operand;
+  if (op === '$ne') return !matchesOperator(value, '$eq', operand);
+  if (op === '$nin') return !matchesOperator(value, '$in', operand);
+  if (value === undefined) return false;
+
+  const values = Array.isArray(value) ? value : [value];
+  switch (op) {
+    case '$eq': return values.some(v => v === operand);
+    case '$in': return values.some(v => operand.includes(v));
+    case '$gt': return values.some(v => v > operand);
+    case '$gte': return values.some(v => v >= operand);
+    case '$lt': return values.some(v => v < operand);
+    case '$lte': return values.some(v => v <= operand);
+    default:
+      throw new Error(`Unsupported filter operator: ${op}`);
+  }
+}
+
+/**
+ * Cosine similarity for dense queries. Hybrid queries are scored like a
+ * dotproduct index: the dense part keeps the query's scale (alpha) and the
+ * sparse dot product is added on top.
+ */
+function score(vector, sparseVector, record) {
+  if (!sparseVector) return cosineSimilarity(vector, record.values);
+
+  const queryNorm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return cosineSimilarity(vector, record.values) * queryNorm
+    + sparseDotProduct(sparseVector, record.sparseValues);
+}
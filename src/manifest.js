@@ -0,0 +1,53 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { config } from './config.js';
+
+/**
+ * Path of a manifest file, scoped to the current index
+ */
+function getManifestPath(name) {
+  const safeName = name.replace(/[^a-zA-Z0-9._-]/g, '_');
+  return path.join(config.dataDir, 'manifests', config.pinecone.indexName, `${safeName}.json`);
+}
+
+/**
+ * Load a manifest recording what has been indexed for a project.
+ * Shape: { version, name, files: { [path]: { hash, ids, indexedAt } } }
+ */
+export function loadManifest(name) {
+  const manifestPath = getManifestPath(name);
+  if (!fs.existsSync(manifestPath)) {
+    return { version: 1, name, files: {} };
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+}
+
+/**
+ * Every manifest of the current index
+ */
+export function loadManifests() {
+  const dir = path.dirname(getManifestPath('_'));
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8')));
+}
+
+/**
+ * Write a manifest back to disk
+ */
+export function saveManifest(manifest) {
+  const manifestPath = getManifestPath(manifest.name);
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  const tmpPath = `${manifestPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tmpPath, manifestPath);
+}
+
+/**
+ * Hash file content for change detection
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
@@ -0,0 +1,167 @@
+import http from 'http';
+import crypto from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * HTTP transport for the MCP server
+ *
+ * One long-running process serves many clients, sharing its caches:
+ *   POST/GET/DELETE /mcp  - Streamable HTTP (current MCP spec)
+ *   GET /sse, POST /messages - legacy HTTP+SSE transport for older clients
+ * Every request needs an `Authorization: Bearer <token>` header; the token's
+ * project allowlist is handed to tool handlers as `extra.authInfo`.
+ */
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Start the HTTP server
+ * @param {function} createServer - Returns a new, unconnected MCP Server per session
+ * @param {object} options - { host, port, tokens: [{ token, projects }] }
+ * @returns {Promise<http.Server>}
+ */
+export async function startHttpServer(createServer, options) {
+  const { host, port, tokens } = options;
+  if (!tokens || tokens.length === 0) {
+    throw new Error('The HTTP transport needs at least one token in MCP_AUTH_TOKENS');
+  }
+
+  const sessions = new Map(); // session ID -> { transport, clientId }
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      const auth = authenticate(req, tokens);
+      if (!auth) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return sendError(res, 401, 'Missing or invalid bearer token');
+      }
+      req.auth = auth;
+
+      const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+      if (url.pathname === '/mcp') {
+        await handleStreamableHttp(req, res, sessions, createServer);
+      } else if (url.pathname === '/sse' && req.method === 'GET') {
+        await openSseStream(req, res, sessions, createServer);
+      } else if (url.pathname === '/messages' && req.method === 'POST') {
+        await handleSseMessage(req, res, sessions, url.searchParams.get('sessionId'));
+      } else {
+        sendError(res, 404, 'Not found');
+      }
+    } catch (error) {
+      if (!error.status) console.error('MCP HTTP request failed:', error.message);
+      if (!res.headersSent) sendError(res, error.status || 500, error.status ? error.message : 'Internal server error');
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+  return httpServer;
+}
+
+/**
+ * Streamable HTTP: a new session on initialize, then routed by Mcp-Session-Id
+ */
+async function handleStreamableHttp(req, res, sessions, createServer) {
+  const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+  const sessionId = req.headers['mcp-session-id'];
+
+  if (sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session || !(session.transport instanceof StreamableHTTPServerTransport)) {
+      return sendError(res, 404, 'Unknown session');
+    }
+    if (session.clientId !== req.auth.clientId) {
+      return sendError(res, 403, 'Session belongs to another token');
+    }
+    return session.transport.handleRequest(req, res, body);
+  }
+
+  if (req.method !== 'POST' || !isInitializeRequest(body)) {
+    return sendError(res, 400, 'Expected an initialize request without a session ID');
+  }
+
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => crypto.randomUUID(),
+    onsessioninitialized: id => sessions.set(id, { transport, clientId: req.auth.clientId }),
+  });
+  transport.onclose = () => {
+    if (transport.sessionId) sessions.delete(transport.sessionId);
+  };
+
+  await createServer().connect(transport);
+  await transport.handleRequest(req, res, body);
+}
+
+/**
+ * Legacy SSE: the stream announces a /messages endpoint carrying the session ID
+ */
+async function openSseStream(req, res, sessions, createServer) {
+  const transport = new SSEServerTransport('/messages', res);
+  sessions.set(transport.sessionId, { transport, clientId: req.auth.clientId });
+  transport.onclose = () => sessions.delete(transport.sessionId);
+  await createServer().connect(transport);
+}
+
+async function handleSseMessage(req, res, sessions, sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session || !(session.transport instanceof SSEServerTransport)) {
+    return sendError(res, 404, 'Unknown session');
+  }
+  if (session.clientId !== req.auth.clientId) {
+    return sendError(res, 403, 'Session belongs to another token');
+  }
+  await session.transport.handlePostMessage(req, res, await readJsonBody(req));
+}
+
+/**
+ * Match the bearer token against the configured tokens (constant time)
+ * @returns {object|null} AuthInfo with the project allowlist in extra.projects
+ */
+function authenticate(req, tokens) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) return null;
+
+  const presented = digest(match[1].trim());
+  const entry = tokens.find(t => crypto.timingSafeEqual(presented, digest(t.token)));
+  if (!entry) return null;
+
+  return {
+    token: entry.token,
+    clientId: digest(entry.token).toString('hex').slice(0, 12),
+    scopes: [],
+    extra: { projects: entry.projects },
+  };
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+async function readJsonBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw httpError(413, 'Request body too large');
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString('utf-8');
+  try {
+    return raw ? JSON.parse(raw) : undefined;
+  } catch {
+    throw httpError(400, 'Invalid JSON body');
+  }
+}
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function sendError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+}
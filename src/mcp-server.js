@@ -9,28 +9,35 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 
-import 'dotenv/config';
-import { Pinecone } from '@pinecone-database/pinecone';
-import OpenAI from 'openai';
-
-// Configuration
-const config = {
-  pinecone: {
-    apiKey: process.env.PINECONE_API_KEY,
-    indexName: process.env.PINECONE_INDEX_NAME || 'claude-context',
-  },
-  openai: {
-    apiKey: process.env.OPENAI_API_KEY,
-    embeddingModel: 'text-embedding-3-small',
-  },
-};
+import fs from 'fs';
+import { config } from './config.js';
+import { getVectorStore } from './vector-store.js';
+import { getEmbeddingProvider } from './embeddings.js';
+import { getEmbeddingCacheStats, formatEmbeddingCacheStats } from './embedding-cache.js';
+import { formatLocation } from './context-builder.js';
+import {
+  storeContextDetailed,
+  searchContext as searchStore,
+  getContext,
+  listContext,
+  getRelevantContext,
+  updateContext,
+  deleteContext,
+  deleteVectors,
+} from './context.js';
+import { indexFile, indexDirectory, DEFAULT_EXTENSIONS } from './indexer.js';
+import { startHttpServer } from './mcp-http.js';
 
 // ============================================================================
-// FAST CACHE (embeddings are expensive, ~300ms each)
+// FAST CACHE (embeddings are cached on disk by embeddings.js)
 // ============================================================================
-const embeddingCache = new Map(); // query -> embedding
 const searchCache = new Map();    // query+project -> results
 const CACHE_TTL = 300000;         // 5 minutes
 
@@ -53,74 +60,60 @@ function setCache(cache, key, value) {
   cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL });
 }
 
-// Lazy-initialized clients
-let pinecone = null;
-let openai = null;
-let index = null;
+// ============================================================================
+// PROJECT ACCESS (HTTP tokens can be limited to some projects)
+// ============================================================================
 
-function getPinecone() {
-  if (!pinecone) {
-    pinecone = new Pinecone({ apiKey: config.pinecone.apiKey });
-  }
-  return pinecone;
+// Projects the caller may access, or null for all (stdio, unrestricted tokens)
+function allowedProjects(extra) {
+  return extra?.authInfo?.extra?.projects || null;
 }
 
-function getOpenAI() {
-  if (!openai) {
-    openai = new OpenAI({ apiKey: config.openai.apiKey });
+function assertProjectAllowed(project, allowed) {
+  if (allowed && !allowed.includes(project)) {
+    throw new Error(`Access denied to project: ${project}`);
   }
-  return openai;
 }
 
-async function getIndex() {
-  if (!index) {
-    index = getPinecone().index(config.pinecone.indexName);
-  }
-  return index;
+// Restrict a metadata filter to the allowed projects
+function scopeFilter(filter, allowed) {
+  if (!allowed) return filter;
+  const projectFilter = { project: { $in: allowed } };
+  return Object.keys(filter).length > 0 ? { $and: [filter, projectFilter] } : projectFilter;
 }
 
-// Generate embedding for search query (cached)
-async function generateEmbedding(text) {
-  // Check cache first (embeddings are expensive ~300ms)
-  const cached = getCached(embeddingCache, text);
-  if (cached) return cached;
-
-  const response = await getOpenAI().embeddings.create({
-    model: config.openai.embeddingModel,
-    input: text,
-  });
-  const embedding = response.data[0].embedding;
-
-  // Cache for future use
-  setCache(embeddingCache, text, embedding);
-  return embedding;
+// Drop entries from projects the caller may not see
+function visibleEntries(entries, allowed) {
+  return allowed ? entries.filter(e => allowed.includes(e.metadata?.project)) : entries;
 }
 
 // Tool implementations
-async function searchContext(query, project = null, topK = 5) {
+async function searchContext(query, filter = {}, topK = 5, options = {}) {
+  // MMR is on by default here: agents calling remember repeatedly leave near-duplicates
+  const {
+    alpha = config.search.alpha,
+    mmr = true,
+    lambda = config.retrieval.lambda,
+    reranker = config.retrieval.reranker,
+    decay = config.retrieval.decay.enabled,
+  } = options;
+
   // Check search cache first
-  const cacheKey = `${query}:${project || 'all'}:${topK}`;
+  const cacheKey = `${query}:${JSON.stringify(filter)}:${topK}:${alpha}:${mmr}:${lambda}:${reranker}:${decay}`;
   const cached = getCached(searchCache, cacheKey);
   if (cached) return cached;
 
-  const idx = await getIndex();
-  const queryEmbedding = await generateEmbedding(query);
-
-  const filter = project ? { project: { $eq: project } } : undefined;
+  const selected = await searchStore(query, filter, topK, { alpha, mmr, lambda, reranker, decay });
 
-  const results = await idx.query({
-    vector: queryEmbedding,
-    topK,
-    filter,
-    includeMetadata: true,
-  });
-
-  const formattedResults = results.matches.map(match => ({
+  const formattedResults = selected.map(match => ({
+    id: match.id,
     score: match.score,
-    text: match.metadata?.text,
+    text: match.text,
     project: match.metadata?.project,
     type: match.metadata?.type,
     filePath: match.metadata?.filePath,
+    location: match.metadata?.filePath && formatLocation(match.metadata),
+    symbol: match.metadata?.symbol,
   }));
 
   // Cache results for future queries
@@ -129,184 +122,692 @@ async function searchContext(query, project = null, topK = 5) {
 }
 
 async function listProjects() {
-  const idx = await getIndex();
+  const idx = await getVectorStore();
   const stats = await idx.describeIndexStats();
+  const provider = getEmbeddingProvider();
   return {
+    embeddingProvider: provider.name,
+    embeddingModel: provider.model,
     totalVectors: stats.totalRecordCount,
     dimension: stats.dimension,
     namespaces: stats.namespaces,
+    embeddingCache: getEmbeddingCacheStats(),
   };
 }
 
-async function indexText(text, project, type = 'text', metadata = {}) {
-  const idx = await getIndex();
-  const embedding = await generateEmbedding(text);
+// Build a delete filter from the forget tool's arguments
+function forgetFilter(args) {
+  const filter = { ...(args.filter || {}) };
+  if (args.project) filter.project = { $eq: args.project };
+  if (args.type) filter.type = { $eq: args.type };
+  return filter;
+}
 
-  const id = `ctx_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+// Index a file or directory the same way `npm run index` does
+async function indexPath(targetPath, project, options = {}) {
+  if (!fs.existsSync(targetPath)) {
+    throw new Error(`Path not found: ${targetPath}`);
+  }
 
-  await idx.upsert([{
-    id,
-    values: embedding,
-    metadata: {
-      text,
+  if (fs.statSync(targetPath).isDirectory()) {
+    const summary = await indexDirectory(targetPath, {
       project,
-      type,
-      timestamp: new Date().toISOString(),
-      ...metadata,
-    },
-  }]);
+      extensions: options.extensions || DEFAULT_EXTENSIONS,
+      force: options.force,
+    });
+    const problems = [...summary.blocked, ...summary.failed]
+      .map(file => `\n- ${file}: ${summary.errors[file]}`)
+      .join('');
+    return `Indexed ${targetPath} into "${project}": `
+      + `${summary.added.length} added, ${summary.updated.length} updated, `
+      + `${summary.skipped.length} unchanged, ${summary.removed.length} removed`
+      + (problems ? `\nNot indexed:${problems}` : '');
+  }
+
+  const status = await indexFile(targetPath, { project, force: options.force });
+  return `Indexed ${targetPath} into "${project}": ${status}`;
+}
+
+function formatEntry(entry) {
+  const meta = entry.metadata || {};
+  let header = `ID: ${entry.id}`;
+  if (meta.project) header += ` | Project: ${meta.project}`;
+  if (meta.type) header += ` | Type: ${meta.type}`;
+  if (meta.filePath) header += `\nFile: ${formatLocation(meta)}`;
+  if (meta.timestamp) header += `\nStored: ${meta.updatedAt || meta.timestamp}`;
+  if (meta.expiresAt) header += ` | Expires: ${new Date(meta.expiresAt).toISOString()}`;
+  return `${header}\n${entry.text}`;
+}
+
+// ============================================================================
+// RESOURCES & PROMPTS (browse stored memories without a search query)
+// ============================================================================
 
-  return { id, success: true };
+// Types stored by remember, sync-memories and deploy-sync, as opposed to indexed files
+const MEMORY_TYPES = ['note', 'decision', 'learning', 'memory', 'conversation', 'deployment'];
+
+const projectUri = project => `pinecone://projects/${encodeURIComponent(project)}`;
+const entryUri = id => `pinecone://entries/${encodeURIComponent(id)}`;
+
+async function listMemoryProjects(allowed) {
+  const entries = await listContext(scopeFilter({ type: { $in: MEMORY_TYPES } }, allowed), { limit: Infinity });
+  const counts = new Map();
+  for (const entry of entries) {
+    const project = entry.metadata?.project;
+    if (project) counts.set(project, (counts.get(project) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+function summarizeEntry(entry) {
+  const meta = entry.metadata || {};
+  const date = (meta.updatedAt || meta.timestamp || '').slice(0, 10);
+  const firstLine = (entry.text || '').split('\n')[0].slice(0, 120);
+  return `- ${date} ${firstLine} (${entryUri(entry.id)})`;
 }
 
-// Create MCP Server
-const server = new Server(
+async function renderProjectListing(project) {
+  const entries = await listContext({
+    project: { $eq: project },
+    type: { $in: MEMORY_TYPES },
+  });
+  if (entries.length === 0) return `# ${project}\n\nNo stored memories.`;
+
+  const sections = MEMORY_TYPES
+    .map(type => [type, entries.filter(e => e.metadata?.type === type)])
+    .filter(([, items]) => items.length > 0)
+    .map(([type, items]) => `## ${type === 'memory' ? 'memories' : `${type}s`}\n\n${items.map(summarizeEntry).join('\n')}`);
+
+  return `# ${project}\n\n${sections.join('\n\n')}`;
+}
+
+async function readResource(uri, allowed) {
+  const match = uri.match(/^pinecone:\/\/(projects|entries)\/(.+)$/);
+  if (!match) throw new Error(`Unknown resource: ${uri}`);
+  const name = decodeURIComponent(match[2]);
+
+  if (match[1] === 'projects') {
+    assertProjectAllowed(name, allowed);
+    return { uri, mimeType: 'text/markdown', text: await renderProjectListing(name) };
+  }
+
+  const [entry] = visibleEntries(await getContext([name]), allowed);
+  if (!entry) throw new Error(`No entry with ID: ${name}`);
+  return { uri, mimeType: 'text/plain', text: formatEntry(entry) };
+}
+
+const PROMPTS = [
   {
-    name: 'pinecone-context',
-    version: '1.0.0',
+    name: 'recall_project_context',
+    description: 'Load stored context for a project, optionally focused on a topic',
+    arguments: [
+      { name: 'project', description: 'Project to recall', required: true },
+      { name: 'topic', description: 'Optional: What you are about to work on', required: false },
+    ],
   },
   {
-    capabilities: {
-      tools: {},
-    },
+    name: 'summarize_recent_decisions',
+    description: 'Summarize the most recent stored decisions',
+    arguments: [
+      { name: 'project', description: 'Optional: Only decisions of this project', required: false },
+      { name: 'limit', description: 'Number of decisions to include (default: 10)', required: false },
+    ],
+  },
+];
+
+async function getPrompt(name, args = {}, allowed = null) {
+  switch (name) {
+    case 'recall_project_context': {
+      if (!args.project) throw new Error('Missing required argument: project');
+      assertProjectAllowed(args.project, allowed);
+
+      let context;
+      if (args.topic) {
+        const result = await getRelevantContext(args.topic, {
+          project: args.project,
+          topK: 10,
+          tokenBudget: 3000,
+          mmr: true,
+        });
+        context = result.contextString;
+      } else {
+        context = await renderProjectListing(args.project);
+      }
+
+      const focus = args.topic ? ` relevant to "${args.topic}"` : '';
+      return {
+        description: `Stored context for ${args.project}`,
+        messages: [{
+          role: 'user',
+          content: {
+            type: 'text',
+            text: `Here is the stored context for the project "${args.project}"${focus}. `
+              + 'Keep it in mind for the rest of this session and say briefly what you learned from it.\n\n'
+              + (context || 'No stored context found.'),
+          },
+        }],
+      };
+    }
+
+    case 'summarize_recent_decisions': {
+      const limit = Math.min(parseInt(args.limit, 10) || 10, 50);
+      const filter = { type: { $eq: 'decision' } };
+      if (args.project) {
+        assertProjectAllowed(args.project, allowed);
+        filter.project = { $eq: args.project };
+      }
+
+      const decisions = await listContext(scopeFilter(filter, allowed), { limit });
+      const scope = args.project ? ` for "${args.project}"` : '';
+      const listing = decisions.map((d, i) => {
+        const meta = d.metadata || {};
+        const date = (meta.updatedAt || meta.timestamp || '').slice(0, 10);
+        return `[${i + 1}] ${date}${meta.project ? ` (${meta.project})` : ''}\n${d.text}`;
+      }).join('\n\n');
+
+      return {
+        description: `Recent decisions${scope}`,
+        messages: [{
+          role: 'user',
+          content: {
+            type: 'text',
+            text: `Summarize the ${decisions.length} most recent decision${decisions.length === 1 ? '' : 's'}${scope} below. `
+              + 'Group related ones, note any that supersede earlier decisions, and list open questions.\n\n'
+              + (listing || 'No decisions stored.'),
+          },
+        }],
+      };
+    }
+
+    default:
+      throw new Error(`Unknown prompt: ${name}`);
   }
-);
+}
 
-// List available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: [
-      {
-        name: 'pinecone_search',
-        description: 'Search for relevant context in the Pinecone vector database. Use this to find code, documentation, or conversation history related to a query.',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            query: {
-              type: 'string',
-              description: 'The search query - what you want to find context about',
-            },
-            project: {
-              type: 'string',
-              description: 'Optional: Filter by project name (e.g., "rei-dashboard", "cloud-orchestrator", "rei-api")',
+/**
+ * Create an MCP server with all tools, resources and prompts registered
+ * Stdio uses one; the HTTP transport creates one per client session.
+ * Caches are module-level, so sessions share them.
+ */
+function createServer() {
+  const server = new Server(
+    {
+      name: 'pinecone-context',
+      version: '1.0.0',
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: {},
+        prompts: {},
+      },
+    }
+  );
+
+  // List available tools
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return {
+      tools: [
+        {
+          name: 'pinecone_search',
+          description: 'Search for relevant context in the Pinecone vector database. Use this to find code, documentation, or conversation history related to a query.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              query: {
+                type: 'string',
+                description: 'The search query - what you want to find context about',
+              },
+              project: {
+                type: 'string',
+                description: 'Optional: Filter by project name (e.g., "rei-dashboard", "cloud-orchestrator", "rei-api")',
+              },
+              topK: {
+                type: 'number',
+                description: 'Number of results to return (default: 5, max: 20)',
+              },
+              alpha: {
+                type: 'number',
+                minimum: 0,
+                maximum: 1,
+                description: 'Optional: Hybrid weighting between semantic (1) and exact keyword (0) matching. Lower it when searching for identifiers, error codes or env var names. Only used when hybrid search is enabled.',
+              },
+              diversify: {
+                type: 'boolean',
+                description: 'Drop near-duplicate results with Maximal Marginal Relevance (default: true)',
+              },
+              lambda: {
+                type: 'number',
+                description: 'Optional: Relevance vs. diversity trade-off for diversify, 1 = relevance only, 0 = diversity only (default: 0.5)',
+              },
+              rerank: {
+                type: 'string',
+                description: 'Optional: Reranker to apply to candidates, e.g. "pinecone" or "keyword"',
+              },
+              decay: {
+                type: 'boolean',
+                description: 'Optional: Rank recent entries higher, e.g. deployments decay within days, decisions over a year',
+              },
             },
-            topK: {
-              type: 'number',
-              description: 'Number of results to return (default: 5, max: 20)',
+            required: ['query'],
+          },
+        },
+        {
+          name: 'pinecone_stats',
+          description: 'Get statistics about the Pinecone index - total vectors, projects indexed, etc.',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+        {
+          name: 'pinecone_remember',
+          description: 'Store important context in Pinecone for future retrieval. Use this to remember key information, decisions, or learnings.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              text: {
+                type: 'string',
+                description: 'The text/context to remember',
+              },
+              project: {
+                type: 'string',
+                description: 'Project this context belongs to',
+              },
+              type: {
+                type: 'string',
+                description: 'Type of context: "note", "decision", "learning", "conversation"',
+                enum: ['note', 'decision', 'learning', 'conversation'],
+              },
+              ttl: {
+                type: 'string',
+                description: 'Optional: Forget this after a while, e.g. "12h", "7d", "4w"',
+              },
+              expiresAt: {
+                type: 'string',
+                description: 'Optional: ISO date after which this is forgotten (instead of ttl)',
+              },
+              onDuplicate: {
+                type: 'string',
+                description: `What to do if a near-identical entry already exists in the project: keep it ("skip"), append to it ("merge"), overwrite it ("replace") or store anyway ("off"). Default: ${config.dedupe.policy}`,
+                enum: ['skip', 'merge', 'replace', 'off'],
+              },
             },
+            required: ['text', 'project'],
           },
-          required: ['query'],
         },
-      },
-      {
-        name: 'pinecone_stats',
-        description: 'Get statistics about the Pinecone index - total vectors, projects indexed, etc.',
-        inputSchema: {
-          type: 'object',
-          properties: {},
+        {
+          name: 'pinecone_get',
+          description: 'Fetch stored context entries by ID (IDs are shown in search results and returned by remember).',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ids: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'IDs of the entries to fetch',
+              },
+            },
+            required: ['ids'],
+          },
         },
-      },
-      {
-        name: 'pinecone_remember',
-        description: 'Store important context in Pinecone for future retrieval. Use this to remember key information, decisions, or learnings.',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            text: {
-              type: 'string',
-              description: 'The text/context to remember',
+        {
+          name: 'pinecone_update',
+          description: 'Replace the text of a stored entry, keeping its ID. Use this to correct or refresh something remembered earlier.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              id: {
+                type: 'string',
+                description: 'ID of the entry to update',
+              },
+              text: {
+                type: 'string',
+                description: 'The new text for the entry',
+              },
+              project: {
+                type: 'string',
+                description: 'Optional: Move the entry to another project',
+              },
+              type: {
+                type: 'string',
+                description: 'Optional: Change the type of context',
+              },
             },
-            project: {
-              type: 'string',
-              description: 'Project this context belongs to',
+            required: ['id', 'text'],
+          },
+        },
+        {
+          name: 'pinecone_forget',
+          description: 'Delete stored context, either specific entries by ID or everything matching a metadata filter. Use this to remove outdated or wrong information.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ids: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'IDs of the entries to delete',
+              },
+              project: {
+                type: 'string',
+                description: 'Delete entries of this project (combined with type/filter)',
+              },
+              type: {
+                type: 'string',
+                description: 'Delete entries of this type (combined with project/filter)',
+              },
+              filter: {
+                type: 'object',
+                description: 'Metadata filter, e.g. {"filePath": {"$eq": "/repo/src/old.js"}}',
+              },
             },
-            type: {
-              type: 'string',
-              description: 'Type of context: "note", "decision", "learning", "conversation"',
-              enum: ['note', 'decision', 'learning', 'conversation'],
+          },
+        },
+        {
+          name: 'pinecone_index',
+          description: 'Index a file or directory into Pinecone. Directories are indexed incrementally: unchanged files are skipped and deleted files removed.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              path: {
+                type: 'string',
+                description: 'Absolute path of the file or directory to index',
+              },
+              project: {
+                type: 'string',
+                description: 'Project to index into',
+              },
+              extensions: {
+                type: 'array',
+                items: { type: 'string' },
+                description: `Optional: File extensions to include for directories (default: ${DEFAULT_EXTENSIONS.join(', ')})`,
+              },
+              force: {
+                type: 'boolean',
+                description: 'Re-embed files even if unchanged (default: false)',
+              },
             },
+            required: ['path', 'project'],
           },
-          required: ['text', 'project'],
         },
-      },
-    ],
-  };
-});
-
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-
-  try {
-    switch (name) {
-      case 'pinecone_search': {
-        const results = await searchContext(
-          args.query,
-          args.project || null,
-          Math.min(args.topK || 5, 20)
-        );
-
-        if (results.length === 0) {
+      ],
+    };
+  });
+
+  // Handle tool calls
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+    const allowed = allowedProjects(extra);
+
+    try {
+      switch (name) {
+        case 'pinecone_search': {
+          if (args.project) assertProjectAllowed(args.project, allowed);
+          const filter = args.project ? { project: { $eq: args.project } } : scopeFilter({}, allowed);
+          const results = await searchContext(
+            args.query,
+            filter,
+            Math.min(args.topK || 5, 20),
+            {
+              alpha: args.alpha,
+              mmr: args.diversify,
+              lambda: args.lambda,
+              reranker: args.rerank,
+              decay: args.decay,
+            }
+          );
+
+          if (results.length === 0) {
+            return {
+              content: [{ type: 'text', text: 'No relevant context found.' }],
+            };
+          }
+
+          const formatted = results.map((r, i) => {
+            let header = `[${i + 1}] Score: ${r.score.toFixed(3)} | ID: ${r.id}`;
+            if (r.project) header += ` | Project: ${r.project}`;
+            if (r.type) header += ` | Type: ${r.type}`;
+            if (r.location) header += `\nFile: ${r.location}`;
+            if (r.symbol) header += ` (${r.symbol})`;
+            return `${header}\n${r.text}`;
+          }).join('\n\n---\n\n');
+
           return {
-            content: [{ type: 'text', text: 'No relevant context found.' }],
+            content: [{ type: 'text', text: formatted }],
           };
         }
 
-        const formatted = results.map((r, i) => {
-          let header = `[${i + 1}] Score: ${r.score.toFixed(3)}`;
-          if (r.project) header += ` | Project: ${r.project}`;
-          if (r.type) header += ` | Type: ${r.type}`;
-          if (r.filePath) header += `\nFile: ${r.filePath}`;
-          return `${header}\n${r.text}`;
-        }).join('\n\n---\n\n');
-
-        return {
-          content: [{ type: 'text', text: formatted }],
-        };
-      }
+        case 'pinecone_stats': {
+          const stats = await listProjects();
+          const namespaces = Object.entries(stats.namespaces || {});
+
+          // A token limited to some projects only sees counts of those projects
+          if (allowed) {
+            let text = `Pinecone Index Stats:\n- Index: ${config.pinecone.indexName} (${config.vectorStore})\n- Embeddings: ${stats.embeddingModel} (${stats.embeddingProvider})`;
+            if (config.namespaces.perProject) {
+              const visible = namespaces.filter(([name]) => allowed.includes(name));
+              const total = visible.reduce((sum, [, ns]) => sum + (ns.recordCount || 0), 0);
+              text += `\n- Vectors in your projects: ${total}`;
+              text += `\n- Projects:${visible.map(([name, ns]) => `\n  - ${name}: ${ns.recordCount}`).join('') || ' none'}`;
+            }
+            return {
+              content: [{ type: 'text', text }],
+            };
+          }
+
+          let text = `Pinecone Index Stats:\n- Total Vectors: ${stats.totalVectors}\n- Dimensions: ${stats.dimension}\n- Index: ${config.pinecone.indexName} (${config.vectorStore})\n- Embeddings: ${stats.embeddingModel} (${stats.embeddingProvider})`;
+          text += `\n- Embedding cache: ${formatEmbeddingCacheStats(stats.embeddingCache)}`;
+
+          // Per-project counts come for free in namespace-per-project mode
+          if (config.namespaces.perProject) {
+            const projects = namespaces
+              .map(([name, ns]) => `\n  - ${name || '(default)'}: ${ns.recordCount}`)
+              .join('');
+            text += `\n- Projects:${projects || ' none'}`;
+          }
 
-      case 'pinecone_stats': {
-        const stats = await listProjects();
-        return {
-          content: [{
-            type: 'text',
-            text: `Pinecone Index Stats:\n- Total Vectors: ${stats.totalVectors}\n- Dimensions: ${stats.dimension}\n- Index: ${config.pinecone.indexName}`,
-          }],
-        };
-      }
+          return {
+            content: [{ type: 'text', text }],
+          };
+        }
 
-      case 'pinecone_remember': {
-        const result = await indexText(
-          args.text,
-          args.project,
-          args.type || 'note'
-        );
-        return {
-          content: [{
-            type: 'text',
-            text: `Stored context with ID: ${result.id}`,
-          }],
-        };
-      }
+        case 'pinecone_remember': {
+          assertProjectAllowed(args.project, allowed);
+          const { ids, duplicate, redactions } = await storeContextDetailed(args.text, {
+            project: args.project,
+            type: args.type || 'note',
+            ...(args.expiresAt && { expiresAt: args.expiresAt }),
+          }, { ttl: args.ttl, dedupe: args.onDuplicate || true });
+          searchCache.clear();
+
+          const masked = redactions.length > 0
+            ? `\nMasked secrets before storing: ${redactions.map(r => r.name).join(', ')}`
+            : '';
+          if (duplicate) {
+            const outcome = { skip: 'kept it unchanged', merge: 'merged into it', replace: 'replaced it' }[duplicate.action];
+            return {
+              content: [{
+                type: 'text',
+                text: `Matched existing entry ${duplicate.id} (similarity ${duplicate.score.toFixed(3)}), ${outcome}${masked}`,
+              }],
+            };
+          }
+          return {
+            content: [{
+              type: 'text',
+              text: `Stored context with ID${ids.length > 1 ? 's' : ''}: ${ids.join(', ')}${masked}`,
+            }],
+          };
+        }
+
+        case 'pinecone_get': {
+          const entries = visibleEntries(await getContext(args.ids || []), allowed);
+          if (entries.length === 0) {
+            return {
+              content: [{ type: 'text', text: 'No entries found for the given IDs.' }],
+            };
+          }
+          return {
+            content: [{ type: 'text', text: entries.map(formatEntry).join('\n\n---\n\n') }],
+          };
+        }
+
+        case 'pinecone_update': {
+          const metadata = {};
+          if (args.project) metadata.project = args.project;
+          if (args.type) metadata.type = args.type;
+
+          const [existing] = visibleEntries(await getContext([args.id]), allowed);
+          if (args.project) assertProjectAllowed(args.project, allowed);
+
+          const entry = existing && await updateContext(args.id, args.text, metadata);
+          if (!entry) {
+            return {
+              content: [{ type: 'text', text: `No entry with ID: ${args.id}` }],
+              isError: true,
+            };
+          }
+          searchCache.clear();
+          return {
+            content: [{ type: 'text', text: `Updated context with ID: ${entry.id}` }],
+          };
+        }
 
-      default:
-        return {
-          content: [{ type: 'text', text: `Unknown tool: ${name}` }],
-          isError: true,
-        };
+        case 'pinecone_forget': {
+          if (args.ids?.length > 0) {
+            if (allowed) {
+              const entries = await getContext(args.ids);
+              for (const entry of entries) assertProjectAllowed(entry.metadata?.project, allowed);
+            }
+            await deleteVectors(args.ids);
+            searchCache.clear();
+            return {
+              content: [{ type: 'text', text: `Deleted ${args.ids.length} entr${args.ids.length === 1 ? 'y' : 'ies'}` }],
+            };
+          }
+
+          // An empty filter would match everything in the index
+          const requested = forgetFilter(args);
+          if (Object.keys(requested).length === 0) {
+            return {
+              content: [{ type: 'text', text: 'Provide ids, or a project, type or filter to delete by.' }],
+              isError: true,
+            };
+          }
+          if (args.project) assertProjectAllowed(args.project, allowed);
+          const filter = scopeFilter(requested, allowed);
+          await deleteContext(filter);
+          searchCache.clear();
+          return {
+            content: [{ type: 'text', text: `Deleted context matching ${JSON.stringify(filter)}` }],
+          };
+        }
+
+        case 'pinecone_index': {
+          // Paths would be read from the server's disk, not the remote client's
+          if (extra?.authInfo) {
+            throw new Error('pinecone_index is only available over stdio');
+          }
+          const summary = await indexPath(args.path, args.project, {
+            extensions: args.extensions,
+            force: args.force,
+          });
+          searchCache.clear();
+          return {
+            content: [{ type: 'text', text: summary }],
+          };
+        }
+
+        default:
+          return {
+            content: [{ type: 'text', text: `Unknown tool: ${name}` }],
+            isError: true,
+          };
+      }
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `Error: ${error.message}` }],
+        isError: true,
+      };
     }
-  } catch (error) {
+  });
+
+  // List projects with stored memories
+  server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => {
+    const projects = await listMemoryProjects(allowedProjects(extra));
     return {
-      content: [{ type: 'text', text: `Error: ${error.message}` }],
-      isError: true,
+      resources: projects.map(([project, count]) => ({
+        uri: projectUri(project),
+        name: `${project} memories`,
+        description: `Stored notes, decisions and other memories (${count})`,
+        mimeType: 'text/markdown',
+      })),
     };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return {
+      resourceTemplates: [
+        {
+          uriTemplate: 'pinecone://projects/{project}',
+          name: 'Project memories',
+          description: 'Stored notes, decisions and learnings of a project, newest first',
+          mimeType: 'text/markdown',
+        },
+        {
+          uriTemplate: 'pinecone://entries/{id}',
+          name: 'Stored entry',
+          description: 'A single stored context entry by ID',
+          mimeType: 'text/plain',
+        },
+      ],
+    };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+    return { contents: [await readResource(request.params.uri, allowedProjects(extra))] };
+  });
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return { prompts: PROMPTS };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request, extra) => {
+    return getPrompt(request.params.name, request.params.arguments, allowedProjects(extra));
+  });
+
+  return server;
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--http') {
+      options.transport = 'http';
+    } else if (args[i] === '--host') {
+      options.host = args[++i];
+    } else if (args[i] === '--port') {
+      options.port = parseInt(args[++i]);
+    }
   }
-});
+
+  return options;
+}
 
 // Start server
 async function main() {
+  const options = { ...config.mcp, ...parseArgs() };
+
+  if (options.transport === 'http') {
+    await startHttpServer(createServer, options);
+    console.error(`Pinecone MCP Server running on http://${options.host}:${options.port}/mcp`);
+    return;
+  }
+
   const transport = new StdioServerTransport();
-  await server.connect(transport);
+  await createServer().connect(transport);
   console.error('Pinecone MCP Server running');
 }
 
@@ -0,0 +1,143 @@
+import fs from 'fs';
+import path from 'path';
+import { storeContext, deleteVectors } from './context.js';
+import { projectNamespace } from './vector-store.js';
+import { loadManifest, saveManifest, hashContent } from './manifest.js';
+
+/**
+ * Ingest structured memory files (memories/*.json)
+ *
+ * Each file is one memory: { id, timestamp?, category?, tags?, content,
+ * embedding_text? }. The vector is stored under the file's `id`, so edits
+ * overwrite it in place, and a manifest of what each file produced lets
+ * edited and deleted files be cleaned up on the next sync.
+ */
+
+// Not a project name, so it can't collide with an indexing manifest
+const MANIFEST_NAME = '_memories';
+
+/**
+ * Sync a directory of memory files with the vector store
+ * Unchanged files are skipped, new and edited ones stored, and vectors of
+ * files that were deleted (or whose id changed) removed. Files refused for
+ * containing secrets (SECRETS_MODE=block) are reported as blocked;
+ * unreadable, invalid or unstorable ones as failed.
+ * @param {string} dirPath - Directory holding *.json memory files
+ * @param {object} options - { project, force, onFile(file, status, error) }
+ * @returns {object} Summary with added, updated, skipped, removed, blocked
+ *   and failed paths, plus errors ({ [path]: message })
+ */
+export async function syncMemories(dirPath, options = {}) {
+  const { project = null, force = false, onFile = null } = options;
+  const absDir = path.resolve(dirPath);
+  const manifest = loadManifest(MANIFEST_NAME);
+  const summary = { added: [], updated: [], skipped: [], removed: [], blocked: [], failed: [], errors: {} };
+
+  const files = fs.readdirSync(absDir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => path.join(absDir, name))
+    .sort();
+
+  for (const file of files) {
+    let status;
+    try {
+      status = await syncMemoryFile(manifest, file, { project, force });
+    } catch (error) {
+      status = error.code === 'SECRET_DETECTED' ? 'blocked' : 'failed';
+      summary[status].push(file);
+      summary.errors[file] = error.message;
+      if (onFile) onFile(file, status, error);
+      continue;
+    }
+    summary[status].push(file);
+    if (status !== 'skipped') saveManifest(manifest);
+    if (onFile) onFile(file, status);
+  }
+
+  for (const file of Object.keys(manifest.files)) {
+    if (path.dirname(file) === absDir && !fs.existsSync(file)) {
+      const entry = manifest.files[file];
+      await deleteVectors(entry.ids, { project: entry.project });
+      delete manifest.files[file];
+      summary.removed.push(file);
+      if (onFile) onFile(file, 'removed');
+    }
+  }
+
+  saveManifest(manifest);
+  return summary;
+}
+
+async function syncMemoryFile(manifest, file, { project, force }) {
+  const raw = fs.readFileSync(file, 'utf-8');
+  const hash = hashContent(raw);
+  const entry = manifest.files[file];
+  if (entry && entry.hash === hash && entry.project === project && !force) return 'skipped';
+
+  const memory = parseMemory(JSON.parse(raw), file);
+  const ids = await storeContext(memory.text, {
+    ...(project && { project }),
+    type: 'memory',
+    memoryId: memory.id,
+    ...(memory.category && { category: memory.category }),
+    ...(memory.tags.length > 0 && { tags: memory.tags }),
+    ...(memory.timestamp && { timestamp: memory.timestamp }),
+    filePath: file,
+  }, { id: memory.id });
+
+  // Drop vectors the new version no longer produces (fewer chunks, new id
+  // or a different project namespace)
+  if (entry) {
+    const moved = projectNamespace(entry.project) !== projectNamespace(project);
+    const stale = moved ? entry.ids : entry.ids.filter(id => !ids.includes(id));
+    await deleteVectors(stale, { project: entry.project });
+  }
+
+  manifest.files[file] = { hash, ids, project, indexedAt: new Date().toISOString() };
+  return entry ? 'updated' : 'added';
+}
+
+/**
+ * Validate a memory file and pick the text to embed
+ */
+function parseMemory(memory, file) {
+  if (!memory || typeof memory.id !== 'string' || !memory.id) {
+    throw new Error(`${path.basename(file)} has no string "id"`);
+  }
+
+  const text = typeof memory.embedding_text === 'string' && memory.embedding_text.trim()
+    ? memory.embedding_text.trim()
+    : renderContent(memory.content);
+  if (!text) throw new Error(`${path.basename(file)} has neither embedding_text nor content`);
+
+  return {
+    id: memory.id,
+    text,
+    category: typeof memory.category === 'string' ? memory.category : null,
+    tags: Array.isArray(memory.tags) ? memory.tags.filter(tag => typeof tag === 'string') : [],
+    timestamp: typeof memory.timestamp === 'string' ? memory.timestamp : null,
+  };
+}
+
+/**
+ * Render structured content as indented "key: value" / "- item" text
+ */
+export function renderContent(content, depth = 0) {
+  const indent = '  '.repeat(depth);
+  if (content === null || content === undefined) return '';
+  if (typeof content !== 'object') return String(content);
+
+  if (Array.isArray(content)) {
+    return content
+      .map(item => (typeof item === 'object' && item !== null
+        ? `${indent}-\n${renderContent(item, depth + 1)}`
+        : `${indent}- ${item}`))
+      .join('\n');
+  }
+
+  return Object.entries(content)
+    .map(([key, value]) => (typeof value === 'object' && value !== null
+      ? `${indent}${key}:\n${renderContent(value, depth + 1)}`
+      : `${indent}${key}: ${value}`))
+    .join('\n');
+}
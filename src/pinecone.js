@@ -1,5 +1,6 @@
 import { Pinecone } from '@pinecone-database/pinecone';
 import { config } from './config.js';
+import { getEmbeddingDimensions } from './embeddings.js';
 
 let pineconeClient = null;
 let pineconeIndex = null;
@@ -29,19 +30,23 @@ export async function getIndex() {
 
 /**
  * Create the index if it doesn't exist (serverless)
+ * @param {object} options - { dimension } to override the embedding provider's
  */
-export async function createIndexIfNotExists() {
+export async function createIndexIfNotExists(options = {}) {
   const pc = getPinecone();
   const indexList = await pc.listIndexes();
 
-  const exists = indexList.indexes?.some(idx => idx.name === config.pinecone.indexName);
+  const existing = indexList.indexes?.find(idx => idx.name === config.pinecone.indexName);
+  const dimension = options.dimension || await getEmbeddingDimensions();
+  // Sparse-dense (hybrid) vectors are only supported by dotproduct indexes
+  const metric = config.search.hybrid ? 'dotproduct' : 'cosine';
 
-  if (!exists) {
-    console.log(`Creating index: ${config.pinecone.indexName}`);
+  if (!existing) {
+    console.log(`Creating index: ${config.pinecone.indexName} (${dimension} dimensions, ${metric})`);
     await pc.createIndex({
       name: config.pinecone.indexName,
-      dimension: config.dimensions,
-      metric: 'cosine',
+      dimension,
+      metric,
       spec: {
         serverless: {
           cloud: 'aws',
@@ -62,6 +67,12 @@ export async function createIndexIfNotExists() {
     console.log('Index is ready!');
   } else {
     console.log(`Index ${config.pinecone.indexName} already exists`);
+    if (existing.dimension !== dimension) {
+      console.warn(`Warning: index has ${existing.dimension} dimensions but ${dimension} are expected`);
+    }
+    if (config.search.hybrid && existing.metric !== 'dotproduct') {
+      console.warn(`Warning: HYBRID_SEARCH needs a dotproduct index, but ${config.pinecone.indexName} uses ${existing.metric}`);
+    }
   }
 }
 
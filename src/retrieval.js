@@ -0,0 +1,168 @@
+import { config } from './config.js';
+import { getPinecone } from './pinecone.js';
+import { encodeDocument, encodeQuery } from './sparse.js';
+import { cosineSimilarity, sparseDotProduct } from './similarity.js';
+
+/**
+ * Post-retrieval stages: optional reranking, time decay, then Maximal
+ * Marginal Relevance to drop near-identical chunks (chunk overlap, repeated
+ * remembers) in favour of diverse results.
+ */
+
+/**
+ * Rerankers, keyed by name. Each takes (query, results) and resolves to the
+ * results re-scored and sorted by relevance.
+ */
+const rerankers = {
+  // Pinecone's hosted cross-encoder
+  pinecone: async (query, results) => {
+    if (results.length === 0) return results;
+    const response = await getPinecone().inference.rerank(
+      config.retrieval.rerankModel,
+      query,
+      results.map(r => r.text || ''),
+      { returnDocuments: false, parameters: { truncate: 'END' } }
+    );
+    return response.data.map(d => ({ ...results[d.index], score: d.score }));
+  },
+
+  // Offline: blend the vector score with exact keyword overlap
+  keyword: async (query, results) => {
+    const querySparse = encodeQuery(query);
+    return results
+      .map(r => ({ ...r, score: (r.score + sparseDotProduct(querySparse, encodeDocument(r.text || ''))) / 2 }))
+      .sort((a, b) => b.score - a.score);
+  },
+};
+
+/**
+ * Register a custom reranker
+ * @param {string} name - Name to select it by (RERANKER or the reranker option)
+ * @param {function} reranker - async (query, results) => results
+ */
+export function registerReranker(name, reranker) {
+  rerankers[name] = reranker;
+}
+
+/**
+ * Resolve a reranker option (name or function) to a function
+ */
+function resolveReranker(reranker) {
+  if (!reranker) return null;
+  if (typeof reranker === 'function') return reranker;
+  if (!rerankers[reranker]) {
+    throw new Error(`Unknown reranker: ${reranker} (available: ${Object.keys(rerankers).join(', ')})`);
+  }
+  return rerankers[reranker];
+}
+
+/**
+ * Number of candidates to fetch before reranking/MMR
+ */
+export function candidateCount(topK, options = {}) {
+  const { mmr = false, reranker = null, decay = false, fetchK } = options;
+  if (!mmr && !reranker && !decay) return topK;
+  return Math.max(fetchK || topK * config.retrieval.fetchMultiplier, topK);
+}
+
+/**
+ * Apply reranking, time decay and MMR to over-fetched candidates
+ * Candidates need `values` when MMR is on.
+ * @param {string} query - The search query
+ * @param {number[]} queryVector - Dense query embedding
+ * @param {Array} candidates - Results with { score, text, metadata, values }
+ * @param {object} options - { topK, mmr, lambda, reranker, decay }
+ *   decay - true, or applyTimeDecay options ({ halfLives, weight })
+ */
+export async function applyRetrievalStages(query, queryVector, candidates, options = {}) {
+  const {
+    topK = 5,
+    mmr = false,
+    lambda = config.retrieval.lambda,
+    reranker = null,
+    decay = false,
+  } = options;
+
+  let results = candidates;
+
+  const rerank = resolveReranker(reranker);
+  if (rerank) {
+    results = await rerank(query, results);
+  }
+
+  if (decay) {
+    results = applyTimeDecay(results, decay === true ? {} : decay);
+  }
+
+  if (mmr) {
+    results = maximalMarginalRelevance(queryVector, results, topK, lambda);
+  }
+
+  // Vector values are only needed for MMR, don't hand them to callers
+  return results.slice(0, topK).map(({ values, ...rest }) => rest);
+}
+
+/**
+ * Blend each score with the entry's age:
+ *   score * ((1 - weight) + weight * 0.5 ^ (age / halfLife))
+ * The half-life is looked up by type (or `default`); types without one and
+ * entries without a timestamp keep their score.
+ * @param {object} options - { halfLives: { [type]: ms }, weight, now }
+ */
+export function applyTimeDecay(results, options = {}) {
+  const {
+    halfLives = config.retrieval.decay.halfLives,
+    weight = config.retrieval.decay.weight,
+    now = Date.now(),
+  } = options;
+
+  return results
+    .map(result => {
+      const meta = result.metadata || {};
+      const halfLife = halfLives[meta.type] ?? halfLives.default;
+      const time = Date.parse(meta.updatedAt || meta.timestamp);
+      if (!halfLife || Number.isNaN(time)) return result;
+
+      const age = Math.max(0, now - time);
+      const factor = (1 - weight) + weight * Math.pow(0.5, age / halfLife);
+      return { ...result, score: result.score * factor };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Select k results balancing relevance against similarity to results
+ * already picked: lambda * relevance - (1 - lambda) * max similarity
+ * @param {number} lambda - 1 = pure relevance, 0 = pure diversity
+ */
+export function maximalMarginalRelevance(queryVector, candidates, k, lambda = 0.5) {
+  const remaining = candidates.filter(c => c.values);
+  const selected = [];
+
+  // Relevance: the (possibly reranked) score, falling back to query similarity
+  const relevance = new Map(remaining.map(c => [
+    c,
+    typeof c.score === 'number' ? c.score : cosineSimilarity(queryVector, c.values),
+  ]));
+
+  while (selected.length < k && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+
+    for (let i = 0; i < remaining.length; i++) {
+      const candidate = remaining[i];
+      const redundancy = selected.length > 0
+        ? Math.max(...selected.map(s => cosineSimilarity(candidate.values, s.values)))
+        : 0;
+      const mmrScore = lambda * relevance.get(candidate) - (1 - lambda) * redundancy;
+      if (mmrScore > bestScore) {
+        bestScore = mmrScore;
+        bestIndex = i;
+      }
+    }
+
+    selected.push(remaining.splice(bestIndex, 1)[0]);
+  }
+
+  return selected;
+}
@@ -0,0 +1,122 @@
+import { config } from './config.js';
+
+/**
+ * Retries with exponential backoff and concurrency limits for calls to the
+ * embedding provider and the vector store
+ */
+
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+const RETRYABLE_NAMES = [
+  'APIConnectionError',
+  'APIConnectionTimeoutError',
+  'PineconeConnectionError',
+  'PineconeInternalServerError',
+  'PineconeUnavailableError',
+];
+
+/**
+ * Call fn, retrying transient failures (rate limits, 5xx, network errors)
+ * Waits as long as a retry-after header asks, otherwise backs off
+ * exponentially with jitter.
+ * @param {function} fn - async () => result
+ * @param {object} options - { label, retries, minDelay, maxDelay }
+ */
+export async function withRetry(fn, options = {}) {
+  const {
+    label = 'Request',
+    retries = config.requests.retries,
+    minDelay = config.requests.minDelay,
+    maxDelay = config.requests.maxDelay,
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+
+      const delay = retryAfter(error) ?? backoff(attempt, minDelay, maxDelay);
+      console.warn(`${label} failed (${errorStatus(error) || error.code || error.name}), retry ${attempt + 1}/${retries} in ${Math.round(delay)}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Whether an error is worth retrying
+ */
+export function isRetryable(error) {
+  const status = errorStatus(error);
+  if (status) return RETRYABLE_STATUSES.includes(status);
+  return RETRYABLE_CODES.includes(error.code)
+    || RETRYABLE_CODES.includes(error.cause?.code)
+    || RETRYABLE_NAMES.includes(error.name)
+    || /fetch failed|socket hang up/i.test(error.message || '');
+}
+
+/**
+ * Run at most `concurrency` calls at a time; the rest wait their turn
+ * @returns {function} limit(fn) => Promise of fn's result
+ */
+export function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return fn => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Error for work that only partly succeeded
+ * @param {string} message
+ * @param {object} details - Merged into the error, e.g. { ids, failedChunks }
+ */
+export function partialFailure(message, details) {
+  return Object.assign(new Error(message), { code: 'PARTIAL_FAILURE', ...details });
+}
+
+// OpenAI errors carry the status; Pinecone's only mention it in the message
+// for statuses it doesn't map to an error class (429 among them)
+function errorStatus(error) {
+  if (typeof error.status === 'number') return error.status;
+  const match = (error.message || '').match(/Status(?: Code)?: (\d{3})/);
+  return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Delay requested by the server in ms, or null
+ */
+function retryAfter(error) {
+  const header = name => error.headers?.[name] ?? error.headers?.get?.(name);
+
+  const ms = parseFloat(header('retry-after-ms'));
+  if (!Number.isNaN(ms)) return ms;
+
+  const value = header('retry-after');
+  if (!value) return null;
+  const seconds = parseFloat(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoff(attempt, minDelay, maxDelay) {
+  const delay = Math.min(maxDelay, minDelay * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Dedupe Script - Consolidate near-duplicate entries in a project
+ *
+ * Usage:
+ *   npm run dedupe -- --project rei-api --dry-run
+ *   npm run dedupe -- --project rei-api --policy merge --threshold 0.93
+ *   npm run dedupe -- --project rei-api --type note,learning
+ */
+
+import { validateConfig, config } from '../config.js';
+import { dedupeProject } from '../context.js';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--project') {
+      options.project = args[++i];
+    } else if (args[i] === '--policy') {
+      options.policy = args[++i];
+    } else if (args[i] === '--threshold') {
+      options.threshold = parseFloat(args[++i]);
+    } else if (args[i] === '--type') {
+      options.types = args[++i].split(',');
+    } else if (args[i] === '--dry-run') {
+      options.dryRun = true;
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  validateConfig();
+  const args = parseArgs();
+
+  if (!args.project) {
+    console.error('Usage: npm run dedupe -- --project <name> [--policy skip|merge|replace] [--threshold 0.95] [--type note,decision] [--dry-run]');
+    process.exit(1);
+  }
+
+  const threshold = args.threshold ?? config.dedupe.threshold;
+  console.log(`Deduplicating ${args.project} (similarity >= ${threshold})${args.dryRun ? ', dry run' : ''}\n`);
+
+  const groups = await dedupeProject(args.project, { ...args, threshold });
+
+  for (const group of groups) {
+    console.log(`${group.id}: ${(group.text || '').split('\n')[0].slice(0, 80)}`);
+    for (const duplicate of group.duplicates) {
+      console.log(`  ${duplicate.id} (${duplicate.score.toFixed(3)}): ${(duplicate.text || '').split('\n')[0].slice(0, 70)}`);
+    }
+  }
+
+  const count = groups.reduce((sum, group) => sum + group.duplicates.length, 0);
+  console.log(args.dryRun
+    ? `\n${count} duplicate(s) in ${groups.length} group(s) would be consolidated`
+    : `\nConsolidated ${count} duplicate(s) into ${groups.length} entr${groups.length === 1 ? 'y' : 'ies'}`);
+}
+
+main().catch(console.error);
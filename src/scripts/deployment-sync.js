@@ -5,17 +5,29 @@
  * Usage:
  *   npm run deploy-sync -- --repo cloud-orchestrator --commit abc123 --message "feat: Add feature"
  *   npm run deploy-sync -- --repo cloud-orchestrator --auto  (fetches from git)
+ *   npm run deploy-sync -- --range v1.0..HEAD --path ../repo [--per merge] [--dry-run]
+ *   npm run deploy-sync -- --since 2025-01-01 --path ../repo
+ *   npm run deploy-sync -- --event "$GITHUB_EVENT_PATH"  (GitHub push event, - for stdin)
+ *
+ * With --auto, the commit's diff hunks are stored as `change` entries and the
+ * changed files are re-indexed in the project's code index.
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { execSync } from 'child_process';
+import { execSync, execFileSync } from 'child_process';
 import { storeContext } from '../context.js';
 import { validateConfig } from '../config.js';
+import { repoSettings, gitInfoFromPushEvent, getRepoRoot, listCommits, getCommitChanges, storeChanges, syncChangedFiles } from '../deployments.js';
+import { analyzeCommit } from '../commits.js';
+import { DEFAULT_EXTENSIONS } from '../indexer.js';
+import { updateRecentDeployments, diffLines } from '../claude-md.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const CLAUDE_MD_PATH = process.env.CLAUDE_MD_PATH || path.join(process.env.HOME || process.env.USERPROFILE, 'claude-config', 'CLAUDE.md');
+// Deployments per repository listed in CLAUDE.md
+const RECENT_DEPLOYMENTS = parseInt(process.env.CLAUDE_MD_DEPLOYMENTS) || 5;
 
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -38,31 +50,32 @@ function parseArgs() {
 }
 
 /**
- * Get git info from the current directory or specified repo
+ * Get git info for a commit (default HEAD) of the current directory or specified repo
  */
-function getGitInfo(repoPath = '.') {
+function getGitInfo(repoPath = '.', ref = 'HEAD') {
   try {
     const cwd = path.resolve(repoPath);
-    const commit = execSync('git rev-parse --short HEAD', { cwd, encoding: 'utf-8' }).trim();
-    const fullCommit = execSync('git rev-parse HEAD', { cwd, encoding: 'utf-8' }).trim();
-    const message = execSync('git log -1 --pretty=%B', { cwd, encoding: 'utf-8' }).trim();
-    const author = execSync('git log -1 --pretty=%an', { cwd, encoding: 'utf-8' }).trim();
+    const commit = execSync(`git rev-parse --short ${ref}`, { cwd, encoding: 'utf-8' }).trim();
+    const fullCommit = execSync(`git rev-parse ${ref}`, { cwd, encoding: 'utf-8' }).trim();
+    const message = execSync(`git log -1 --pretty=%B ${fullCommit}`, { cwd, encoding: 'utf-8' }).trim();
+    const author = execSync(`git log -1 --pretty=%an ${fullCommit}`, { cwd, encoding: 'utf-8' }).trim();
     const branch = execSync('git rev-parse --abbrev-ref HEAD', { cwd, encoding: 'utf-8' }).trim();
-    const timestamp = execSync('git log -1 --pretty=%ci', { cwd, encoding: 'utf-8' }).trim();
+    const timestamp = execSync(`git log -1 --pretty=%ci ${fullCommit}`, { cwd, encoding: 'utf-8' }).trim();
     const repoName = execSync('git remote get-url origin', { cwd, encoding: 'utf-8' })
       .trim()
       .split('/')
       .pop()
       ?.replace('.git', '') || 'unknown';
 
-    // Get changed files
-    const changedFiles = execSync('git diff-tree --no-commit-id --name-only -r HEAD', { cwd, encoding: 'utf-8' })
+    // Get changed files (merges against their first parent)
+    const diffTree = `git diff-tree --no-commit-id -r --root -m --first-parent`;
+    const changedFiles = execSync(`${diffTree} --name-only ${fullCommit}`, { cwd, encoding: 'utf-8' })
       .trim()
       .split('\n')
       .filter(f => f.length > 0);
 
     // Get diff stats
-    const diffStats = execSync('git diff-tree --no-commit-id --stat -r HEAD', { cwd, encoding: 'utf-8' }).trim();
+    const diffStats = execSync(`${diffTree} --stat ${fullCommit}`, { cwd, encoding: 'utf-8' }).trim();
 
     return {
       commit,
@@ -82,31 +95,18 @@ function getGitInfo(repoPath = '.') {
 }
 
 /**
- * Analyze commit message to determine deployment type
+ * Full hash of a commit given by the user, so a manual sync gets the same
+ * stable IDs as --auto and backfills of that commit
+ * @returns {string|null} null when the repository doesn't have the commit
  */
-function analyzeCommit(message) {
-  const lowerMsg = message.toLowerCase();
-
-  if (lowerMsg.startsWith('feat:') || lowerMsg.includes('add ') || lowerMsg.includes('implement')) {
-    return { type: 'feature', priority: 'high' };
-  }
-  if (lowerMsg.startsWith('fix:') || lowerMsg.includes('bug') || lowerMsg.includes('patch')) {
-    return { type: 'bugfix', priority: 'high' };
-  }
-  if (lowerMsg.startsWith('perf:') || lowerMsg.includes('performance') || lowerMsg.includes('optimize')) {
-    return { type: 'performance', priority: 'medium' };
-  }
-  if (lowerMsg.startsWith('refactor:') || lowerMsg.includes('refactor')) {
-    return { type: 'refactor', priority: 'low' };
-  }
-  if (lowerMsg.startsWith('docs:') || lowerMsg.includes('documentation')) {
-    return { type: 'documentation', priority: 'low' };
-  }
-  if (lowerMsg.startsWith('chore:') || lowerMsg.includes('deps') || lowerMsg.includes('dependencies')) {
-    return { type: 'maintenance', priority: 'low' };
+function resolveCommit(repoPath, commit) {
+  try {
+    return execFileSync('git', ['rev-parse', '--verify', '--quiet', `${commit}^{commit}`], {
+      cwd: path.resolve(repoPath), encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'],
+    }).trim();
+  } catch {
+    return null;
   }
-
-  return { type: 'general', priority: 'medium' };
 }
 
 /**
@@ -114,7 +114,7 @@ function analyzeCommit(message) {
  */
 function generateDeploymentContext(gitInfo, status = 'success') {
   const analysis = analyzeCommit(gitInfo.message);
-  const date = new Date().toISOString().split('T')[0];
+  const date = deploymentDate(gitInfo);
 
   const keyChanges = gitInfo.changedFiles
     .filter(f => !f.includes('node_modules') && !f.includes('.lock'))
@@ -122,12 +122,20 @@ function generateDeploymentContext(gitInfo, status = 'success') {
     .map(f => `- ${f}`)
     .join('\n');
 
+  const header = [
+    `COMMIT: ${gitInfo.commit} (${gitInfo.branch})`,
+    gitInfo.tag && `TAG: ${gitInfo.tag}`,
+    `TYPE: ${analysis.type}`,
+    analysis.scope && `SCOPE: ${analysis.scope}`,
+    analysis.breaking && 'BREAKING CHANGE: yes',
+    analysis.issues.length > 0 && `ISSUES: ${analysis.issues.join(', ')}`,
+    `PRIORITY: ${analysis.priority}`,
+    `STATUS: ${status}`,
+  ].filter(Boolean).join('\n');
+
   return `DEPLOYMENT: ${gitInfo.repoName} - ${date}
 
-COMMIT: ${gitInfo.commit} (${gitInfo.branch})
-TYPE: ${analysis.type}
-PRIORITY: ${analysis.priority}
-STATUS: ${status}
+${header}
 
 MESSAGE:
 ${gitInfo.message}
@@ -142,10 +150,38 @@ This deployment ${status === 'success' ? 'completed successfully' : 'had issues'
 }
 
 /**
- * Update CLAUDE.md with deployment info (optional)
+ * Day of the deployment: today, or for backfilled history the commit's date
+ */
+function deploymentDate(gitInfo) {
+  return (gitInfo.deployedAt ? new Date(gitInfo.deployedAt) : new Date()).toISOString().split('T')[0];
+}
+
+/**
+ * Project a repository's entries go to: --project, else its mapping in
+ * DEPLOY_SYNC_CONFIG
  */
-function updateClaudeMd(gitInfo, options = {}) {
-  const { updateClaudeMd = true } = options;
+function projectFor(gitInfo) {
+  return gitInfo.project || repoSettings(gitInfo.repoName).project;
+}
+
+/**
+ * Metadata shared by a commit's deployment and decision entries
+ */
+function historyMetadata(gitInfo) {
+  return {
+    project: projectFor(gitInfo),
+    ...(gitInfo.tag && { tag: gitInfo.tag }),
+    ...(gitInfo.deployedAt && { timestamp: new Date(gitInfo.deployedAt).toISOString() }),
+  };
+}
+
+/**
+ * Update CLAUDE.md with deployment info (optional): the "Last Updated" date
+ * and the generated Recent Deployments section
+ * With dryRun, prints the diff instead of writing it.
+ */
+function updateClaudeMd(gitInfos, options = {}) {
+  const { updateClaudeMd = true, dryRun = false } = options;
 
   if (!updateClaudeMd) return false;
 
@@ -155,17 +191,34 @@ function updateClaudeMd(gitInfo, options = {}) {
       return false;
     }
 
-    let content = fs.readFileSync(CLAUDE_MD_PATH, 'utf-8');
+    const original = fs.readFileSync(CLAUDE_MD_PATH, 'utf-8');
 
     // Update the "Last Updated" date
     const today = new Date().toISOString().split('T')[0];
-    content = content.replace(
+    let content = original.replace(
       />\s*\*\*Last Updated:\*\*\s*\d{4}-\d{2}-\d{2}/,
       `> **Last Updated:** ${today}`
     );
 
+    content = updateRecentDeployments(content, gitInfos.map(gitInfo => ({
+      repo: gitInfo.repoName,
+      date: deploymentDate(gitInfo),
+      commit: gitInfo.commit,
+      type: analyzeCommit(gitInfo.message).type,
+      summary: gitInfo.message.split('\n')[0] + (gitInfo.status === 'failed' ? ' (failed)' : ''),
+    })), { limit: RECENT_DEPLOYMENTS });
+
+    if (content === original) {
+      console.log('CLAUDE.md is up to date');
+      return false;
+    }
+    if (dryRun) {
+      console.log(`\nChanges to ${CLAUDE_MD_PATH} (dry run, not written):\n${diffLines(original, content)}`);
+      return false;
+    }
+
     fs.writeFileSync(CLAUDE_MD_PATH, content);
-    console.log(`Updated CLAUDE.md date to ${today}`);
+    console.log(`Updated CLAUDE.md: date ${today}, recent deployments`);
     return true;
   } catch (error) {
     console.error('Failed to update CLAUDE.md:', error.message);
@@ -175,6 +228,7 @@ function updateClaudeMd(gitInfo, options = {}) {
 
 /**
  * Store deployment in Pinecone
+ * The ID derives from the commit, so storing a commit again overwrites it.
  */
 async function storeDeployment(gitInfo, status = 'success') {
   const analysis = analyzeCommit(gitInfo.message);
@@ -189,28 +243,41 @@ async function storeDeployment(gitInfo, status = 'success') {
     author: gitInfo.author,
     deploymentType: analysis.type,
     priority: analysis.priority,
+    ...(analysis.commitType && { commitType: analysis.commitType }),
+    ...(analysis.scope && { scope: analysis.scope }),
+    ...(analysis.breaking && { breaking: true }),
+    ...(analysis.issues.length > 0 && { issues: analysis.issues }),
     status,
     changedFilesCount: gitInfo.changedFiles.length,
     keyFiles: gitInfo.changedFiles.slice(0, 5).join(', '),
-    project: 'rei-system',
+    ...historyMetadata(gitInfo),
   };
 
-  const ids = await storeContext(contextText, metadata);
+  const ids = await storeContext(contextText, metadata, { id: `deploy_${gitInfo.fullCommit}` });
   return ids;
 }
 
 /**
- * Also store as a decision if it's a significant change
+ * Whether a commit matches its repository's decision rules
  */
-async function storeAsDecision(gitInfo) {
+function isSignificant(gitInfo) {
+  const { decisions } = repoSettings(gitInfo.repoName);
   const analysis = analyzeCommit(gitInfo.message);
+  return (decisions.breaking && analysis.breaking)
+    || decisions.types.includes(analysis.commitType)
+    || (decisions.minFiles > 0 && gitInfo.changedFiles.length >= decisions.minFiles);
+}
 
+/**
+ * Also store as a decision if it's a significant change
+ */
+async function storeAsDecision(gitInfo) {
   // Only store significant changes as decisions
-  if (analysis.priority !== 'high' && gitInfo.changedFiles.length < 3) {
+  if (!isSignificant(gitInfo)) {
     return null;
   }
 
-  const decisionText = `${gitInfo.repoName.toUpperCase()} UPDATE - ${new Date().toISOString().split('T')[0]}
+  const decisionText = `${gitInfo.repoName.toUpperCase()} UPDATE - ${deploymentDate(gitInfo)}
 
 COMMIT: ${gitInfo.commit}
 
@@ -226,36 +293,112 @@ This change was deployed to production.`;
     title: `${gitInfo.repoName} Deployed`,
     repo: gitInfo.repoName,
     commit: gitInfo.commit,
-    project: 'rei-system',
+    ...historyMetadata(gitInfo),
   };
 
-  const ids = await storeContext(decisionText, metadata);
+  const ids = await storeContext(decisionText, metadata, { id: `decision_${gitInfo.fullCommit}` });
   return ids;
 }
 
+/**
+ * Store a deployment (and decision) for each commit, merge or tag in a range
+ * of history, dated by the commit
+ */
+async function backfill(args) {
+  const repoPath = args.path || '.';
+  const per = args.per || 'commit';
+  const dryRun = Boolean(args['dry-run']);
+  const commits = listCommits(repoPath, { range: args.range, since: args.since, per });
+
+  console.log(`${dryRun ? 'Dry run: would store' : 'Storing'} ${commits.length} deployment(s), one per ${per}\n`);
+
+  const width = String(commits.length).length;
+  const deployed = [];
+  let stored = 0;
+  let vectors = 0;
+  let failed = 0;
+
+  for (const [i, { commit, tag }] of commits.entries()) {
+    const progress = `[${String(i + 1).padStart(width)}/${commits.length}]`;
+    const gitInfo = getGitInfo(repoPath, commit);
+    if (!gitInfo) {
+      console.error(`${progress} ${commit.slice(0, 7)} skipped`);
+      failed++;
+      continue;
+    }
+    Object.assign(gitInfo, { tag, deployedAt: gitInfo.timestamp, status: args.status || 'success', project: args.project });
+
+    const line = `${progress} ${gitInfo.commit} ${deploymentDate(gitInfo)}${tag ? ` ${tag}` : ''} `
+      + `[${analyzeCommit(gitInfo.message).type}] ${gitInfo.message.split('\n')[0]}`;
+    if (dryRun) {
+      console.log(`${line}${isSignificant(gitInfo) ? ' (+ decision)' : ''}`);
+      deployed.push(gitInfo);
+      continue;
+    }
+
+    try {
+      const deploymentIds = await storeDeployment(gitInfo, gitInfo.status);
+      const decisionIds = await storeAsDecision(gitInfo);
+      deployed.push(gitInfo);
+      stored++;
+      vectors += deploymentIds.length + (decisionIds?.length || 0);
+      console.log(line);
+    } catch (error) {
+      console.error(`${line}\n  Failed: ${error.message}`);
+      failed++;
+    }
+  }
+
+  if (!dryRun) {
+    console.log(`\nStored ${stored} deployment(s) (${vectors} vector(s))${failed ? `, ${failed} failed` : ''}`);
+  }
+  if (failed > 0) process.exitCode = 1;
+
+  if (!args['no-claude-md']) {
+    updateClaudeMd(deployed, { dryRun });
+  }
+}
+
 async function main() {
   console.log('=== Deployment Sync ===\n');
 
-  validateConfig();
-
   const args = parseArgs();
+  const dryRun = Boolean(args['dry-run']);
+
+  // Nothing is stored in a dry run, so no credentials are needed
+  if (!dryRun) validateConfig();
+
+  if (args.range || args.since) {
+    await backfill(args);
+    console.log('\n=== Sync Complete ===');
+    return;
+  }
 
   // Get git info
   let gitInfo;
+  const repoPath = args.path || '.';
 
   if (args.auto) {
     // Auto-detect from current repo or specified path
-    const repoPath = args.path || '.';
     gitInfo = getGitInfo(repoPath);
     if (!gitInfo) {
       console.error('Failed to get git info. Make sure you are in a git repository.');
       process.exit(1);
     }
+  } else if (args.event) {
+    // GitHub push event payload, e.g. $GITHUB_EVENT_PATH; - (or no value) reads stdin
+    const source = args.event === true || args.event === '-' ? 0 : args.event;
+    gitInfo = gitInfoFromPushEvent(JSON.parse(fs.readFileSync(source, 'utf-8')));
   } else if (args.repo && args.commit && args.message) {
     // Manual specification
+    const fullCommit = resolveCommit(repoPath, args.commit) || args.commit;
+    if (!/^[0-9a-f]{40}$/.test(fullCommit)) {
+      console.warn(`Warning: ${args.commit} isn't a full commit hash and isn't in ${path.resolve(repoPath)} (set --path);`
+        + ' entries for it won\'t replace ones stored by --auto or a backfill');
+    }
     gitInfo = {
-      commit: args.commit.slice(0, 7),
-      fullCommit: args.commit,
+      commit: fullCommit.slice(0, 7),
+      fullCommit,
       message: args.message,
       author: args.author || 'Unknown',
       branch: args.branch || 'master',
@@ -267,28 +410,46 @@ async function main() {
   } else {
     console.log('Usage:');
     console.log('  npm run deploy-sync -- --auto [--path /path/to/repo]');
+    console.log('  npm run deploy-sync -- --event <push-event.json | ->');
     console.log('  npm run deploy-sync -- --repo <name> --commit <hash> --message "commit message"');
+    console.log('  npm run deploy-sync -- --range <from>..<to> | --since <date> [--path /path/to/repo] [--per commit|merge|tag] [--dry-run]');
     console.log('\nOptions:');
     console.log('  --auto              Auto-detect from git repository');
-    console.log('  --path <path>       Path to git repository (with --auto)');
+    console.log('  --path <path>       Path to git repository (with --auto, or to resolve --commit)');
+    console.log('  --project <name>    Project to store in (default: the repo\'s mapping in deploy-sync.json)');
+    console.log('  --ext <list>        Changed files to re-index (with --auto, default: js,ts,py,md)');
+    console.log('  --event <file>      GitHub push event payload to sync from (- for stdin), no checkout needed');
     console.log('  --repo <name>       Repository name');
-    console.log('  --commit <hash>     Commit hash');
+    console.log('  --commit <hash>     Commit hash (full, or resolved in --path)');
     console.log('  --message <msg>     Commit message');
+    console.log('  --range <from>..<to> Backfill deployments for a range of history');
+    console.log('  --since <date>      Backfill deployments for commits since a date (e.g. 2025-01-01, "3 months ago")');
+    console.log('  --per <unit>        One deployment per commit (default), merge or tag when backfilling');
+    console.log('  --dry-run           Store nothing; list what a backfill would store and show the CLAUDE.md diff');
     console.log('  --status <status>   Deployment status (success/failed)');
     console.log('  --no-claude-md      Skip CLAUDE.md update');
     process.exit(1);
   }
 
   const status = args.status || 'success';
+  gitInfo.status = status;
+  gitInfo.project = args.project;
 
   console.log(`Repository: ${gitInfo.repoName}`);
   console.log(`Commit: ${gitInfo.commit}`);
   console.log(`Branch: ${gitInfo.branch}`);
   console.log(`Message: ${gitInfo.message.split('\n')[0]}`);
+  console.log(`Project: ${projectFor(gitInfo)}`);
   console.log(`Status: ${status}`);
   console.log(`Files changed: ${gitInfo.changedFiles.length}`);
   console.log('');
 
+  if (dryRun) {
+    console.log('Dry run: nothing stored');
+    if (!args['no-claude-md']) updateClaudeMd([gitInfo], { dryRun });
+    return null;
+  }
+
   // Store in Pinecone
   console.log('Storing deployment in Pinecone...');
   const deploymentIds = await storeDeployment(gitInfo, status);
@@ -300,9 +461,36 @@ async function main() {
     console.log(`Created ${decisionIds.length} decision vector(s)`);
   }
 
+  // Index the diff and the files it touched
+  let changeIds = [];
+  if (args.auto) {
+    const project = projectFor(gitInfo);
+    const repoRoot = getRepoRoot(repoPath);
+    const changes = getCommitChanges(repoRoot, gitInfo.fullCommit);
+
+    console.log(`\nStoring diff hunks of ${changes.length} file(s)...`);
+    const stored = await storeChanges(gitInfo, changes, { project });
+    changeIds = stored.ids;
+    console.log(`Created ${changeIds.length} change vector(s)`);
+    for (const file of stored.blocked) console.log(`  Blocked (contains secrets): ${file}`);
+
+    console.log('\nRe-indexing changed files...');
+    const extensions = args.ext
+      ? args.ext.split(',').map(e => `.${e.trim()}`)
+      : DEFAULT_EXTENSIONS;
+    const summary = await syncChangedFiles(repoRoot, changes, { project, extensions });
+    if (summary.project !== project) console.log(`  In project ${summary.project}, which already indexes ${repoRoot}`);
+    console.log(`  Added: ${summary.added.length}, updated: ${summary.updated.length}, unchanged: ${summary.skipped.length}, removed: ${summary.removed.length}`);
+    for (const file of summary.blocked) console.log(`  Blocked (contains secrets): ${path.relative(repoRoot, file)}`);
+    for (const file of summary.failed) {
+      console.log(`  Failed: ${path.relative(repoRoot, file)} (${summary.errors[file]})`);
+    }
+    if (summary.failed.length > 0) process.exitCode = 1;
+  }
+
   // Update CLAUDE.md
   if (!args['no-claude-md']) {
-    updateClaudeMd(gitInfo);
+    updateClaudeMd([gitInfo]);
   }
 
   console.log('\n=== Sync Complete ===');
@@ -310,7 +498,7 @@ async function main() {
   return {
     repo: gitInfo.repoName,
     commit: gitInfo.commit,
-    vectorsCreated: deploymentIds.length + (decisionIds?.length || 0),
+    vectorsCreated: deploymentIds.length + (decisionIds?.length || 0) + changeIds.length,
   };
 }
 
@@ -318,4 +506,7 @@ async function main() {
 export { storeDeployment, storeAsDecision, getGitInfo, generateDeploymentContext };
 
 // Run if called directly
-main().catch(console.error);
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
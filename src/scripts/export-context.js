@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Export stored context to a versioned JSONL file
+ *
+ * Usage:
+ *   npm run export -- --out backup.jsonl
+ *   npm run export -- --out rei-api.jsonl --project rei-api
+ *   npm run export -- --out notes.jsonl --type decision,note
+ */
+
+import { validateConfig, config } from '../config.js';
+import { exportContext } from '../backup.js';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--out') {
+      options.out = args[++i];
+    } else if (args[i] === '--project') {
+      options.project = args[++i];
+    } else if (args[i] === '--type') {
+      options.types = args[++i].split(',');
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  validateConfig();
+  const args = parseArgs();
+  const out = args.out || `${config.pinecone.indexName}-${new Date().toISOString().slice(0, 10)}.jsonl`;
+
+  console.log(`Exporting ${config.pinecone.indexName} (${config.vectorStore}) to ${out}`);
+  if (args.project) console.log(`Project: ${args.project}`);
+  if (args.types) console.log(`Types: ${args.types.join(', ')}`);
+
+  const { count } = await exportContext(out, {
+    project: args.project,
+    types: args.types,
+    onProgress: n => process.stdout.write(`\rExported ${n} vector(s)`),
+  });
+
+  process.stdout.write(`\rExported ${count} vector(s)\n`);
+}
+
+main().catch(console.error);
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Import an export file into the configured (or another) index
+ *
+ * Usage:
+ *   npm run import -- --file backup.jsonl
+ *   npm run import -- --file backup.jsonl --index claude-context-v2
+ *   npm run import -- --file backup.jsonl --reembed
+ */
+
+import { validateConfig, config } from '../config.js';
+import { createIndexIfNotExists } from '../pinecone.js';
+import { importContext, readExportHeader } from '../backup.js';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--file') {
+      options.file = args[++i];
+    } else if (args[i] === '--index') {
+      options.index = args[++i];
+    } else if (args[i] === '--reembed') {
+      options.reembed = true;
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  validateConfig();
+  const args = parseArgs();
+
+  if (!args.file) {
+    console.error('Usage: npm run import -- --file backup.jsonl [--index name] [--reembed]');
+    process.exit(1);
+  }
+
+  // Everything downstream reads the index name from config
+  if (args.index) config.pinecone.indexName = args.index;
+
+  const header = await readExportHeader(args.file);
+  console.log(`Importing ${args.file} (exported from ${header.index} on ${header.exportedAt})`);
+  console.log(`Into: ${config.pinecone.indexName} (${config.vectorStore})`);
+  if (args.reembed) console.log('Re-embedding text with the current embedding provider');
+
+  if (config.vectorStore === 'pinecone') {
+    await createIndexIfNotExists({ dimension: args.reembed ? null : header.dimension });
+  }
+
+  const { count } = await importContext(args.file, {
+    reembed: args.reembed,
+    onProgress: n => process.stdout.write(`\rImported ${n} vector(s)`),
+  });
+
+  process.stdout.write(`\rImported ${count} vector(s)\n`);
+}
+
+main().catch(console.error);
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Import Claude Code session transcripts as conversation memory
+ * Only turns added since the last run are stored.
+ *
+ * Usage:
+ *   npm run import-transcripts
+ *   npm run import-transcripts -- --dir ~/.claude/projects/-home-matt-rei-api
+ *   npm run import-transcripts -- --file session.jsonl --project rei-api
+ *   npm run import-transcripts -- --force
+ */
+
+import { validateConfig } from '../config.js';
+import { DEFAULT_TRANSCRIPTS_DIR, findTranscripts, importTranscripts } from '../transcripts.js';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--dir') {
+      options.dir = args[++i];
+    } else if (args[i] === '--file') {
+      (options.files ||= []).push(args[++i]);
+    } else if (args[i] === '--project') {
+      options.project = args[++i];
+    } else if (args[i] === '--force') {
+      options.force = true;
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  validateConfig();
+  const args = parseArgs();
+
+  const dir = args.dir || DEFAULT_TRANSCRIPTS_DIR;
+  const files = args.files || findTranscripts(dir);
+  if (files.length === 0) {
+    console.log(`No transcripts found in ${dir}`);
+    return;
+  }
+
+  console.log(`Importing ${files.length} transcript(s)${args.project ? ` into ${args.project}` : ''}`);
+  const summary = await importTranscripts(files, {
+    project: args.project,
+    force: args.force,
+    onFile: (file, turns) => {
+      if (turns > 0) console.log(`  ${file}: ${turns} new turn(s)`);
+    },
+  });
+
+  console.log(`\nStored ${summary.turns - summary.blocked} turn(s) from ${summary.files} updated transcript(s)`);
+  if (summary.blocked > 0) console.log(`Left out ${summary.blocked} turn(s) containing secrets`);
+}
+
+main().catch(console.error);
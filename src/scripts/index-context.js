@@ -5,10 +5,11 @@
  *      npm run index -- --text "some text" --project <name>
  */
 
-import fs from 'fs';
 import path from 'path';
 import { validateConfig } from '../config.js';
-import { storeContext, storeCodeFile, storeDocumentation } from '../context.js';
+import { storeContextDetailed } from '../context.js';
+import { indexFile, indexDirectory, DEFAULT_EXTENSIONS } from '../indexer.js';
+import { formatEmbeddingCacheStats } from '../embedding-cache.js';
 
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -40,8 +41,8 @@ async function main() {
   if (!args.file && !args.text && !args.dir) {
     console.log('Usage:');
     console.log('  npm run index -- --file <path> --project <name> [--type code|doc|text]');
-    console.log('  npm run index -- --text "content" --project <name>');
-    console.log('  npm run index -- --dir <path> --project <name> --ext js,ts,py');
+    console.log('  npm run index -- --text "content" --project <name> [--ttl 7d] [--dedupe [skip|merge|replace]]');
+    console.log('  npm run index -- --dir <path> --project <name> --ext js,ts,py [--force]');
     process.exit(1);
   }
 
@@ -52,60 +53,58 @@ async function main() {
   // Index a single file
   if (args.file) {
     const filePath = path.resolve(args.file);
-    const content = fs.readFileSync(filePath, 'utf-8');
-
-    if (args.type === 'doc') {
-      await storeDocumentation(path.basename(filePath), content, metadata);
-    } else {
-      await storeCodeFile(filePath, content, metadata);
-    }
-    console.log(`Indexed: ${filePath}`);
+    const status = await indexFile(filePath, {
+      project: metadata.project,
+      type: args.type === 'doc' ? 'doc' : 'code',
+      force: Boolean(args.force),
+    });
+    console.log(status === 'skipped' ? `Unchanged: ${filePath}` : `Indexed: ${filePath}`);
   }
 
   // Index raw text
   if (args.text) {
-    await storeContext(args.text, { ...metadata, type: args.type || 'text' });
-    console.log('Indexed text content');
+    const { ids, duplicate } = await storeContextDetailed(args.text, { ...metadata, type: args.type || 'text' }, {
+      ttl: args.ttl,
+      dedupe: args.dedupe,
+    });
+    if (duplicate) {
+      console.log(`Matched existing entry ${duplicate.id} (similarity ${duplicate.score.toFixed(3)}): ${duplicate.action}`);
+    } else {
+      console.log(`Indexed text content (${ids.length} vector(s))`);
+    }
   }
 
-  // Index a directory
+  // Index a directory (incremental, tracked in the project manifest)
   if (args.dir) {
     const dirPath = path.resolve(args.dir);
-    const extensions = (args.ext || 'js,ts,py,md').split(',').map(e => `.${e.trim()}`);
-
-    const files = getAllFiles(dirPath, extensions);
-    console.log(`Found ${files.length} files to index`);
-
-    for (const file of files) {
-      const content = fs.readFileSync(file, 'utf-8');
-      await storeCodeFile(file, content, metadata);
-      console.log(`Indexed: ${file}`);
+    const extensions = args.ext
+      ? args.ext.split(',').map(e => `.${e.trim()}`)
+      : DEFAULT_EXTENSIONS;
+
+    const summary = await indexDirectory(dirPath, {
+      project: metadata.project,
+      extensions,
+      force: Boolean(args.force),
+      onFile: (file, status, error) => {
+        if (status === 'failed') console.error(`Failed: ${file}: ${error.message}`);
+        else if (status !== 'skipped') console.log(`${status[0].toUpperCase()}${status.slice(1)}: ${file}`);
+      },
+    });
+
+    console.log('\nSummary:');
+    console.log(`  Added:   ${summary.added.length}`);
+    console.log(`  Updated: ${summary.updated.length}`);
+    console.log(`  Skipped: ${summary.skipped.length}`);
+    if (summary.blocked.length > 0) console.log(`  Blocked: ${summary.blocked.length} (contain secrets)`);
+    if (summary.failed.length > 0) {
+      console.log(`  Failed:  ${summary.failed.length} (retried on the next run)`);
+      process.exitCode = 1;
     }
+    console.log(`  Removed: ${summary.removed.length}`);
   }
 
+  console.log(`\nEmbedding cache: ${formatEmbeddingCacheStats()}`);
   console.log('\n=== Indexing Complete ===');
 }
 
-function getAllFiles(dir, extensions) {
-  const files = [];
-
-  function walk(currentDir) {
-    const items = fs.readdirSync(currentDir, { withFileTypes: true });
-    for (const item of items) {
-      const fullPath = path.join(currentDir, item.name);
-      if (item.isDirectory()) {
-        // Skip common non-code directories
-        if (!['node_modules', '.git', 'dist', 'build', '__pycache__'].includes(item.name)) {
-          walk(fullPath);
-        }
-      } else if (extensions.some(ext => item.name.endsWith(ext))) {
-        files.push(fullPath);
-      }
-    }
-  }
-
-  walk(dir);
-  return files;
-}
-
 main().catch(console.error);
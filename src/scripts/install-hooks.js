@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Install git hooks that run deploy-sync, or print a CI step that does
+ *
+ * Usage:
+ *   npm run install-hooks -- --repo ../rei-api
+ *   npm run install-hooks -- --repo ../rei-api --branch main --project rei-api
+ *   npm run install-hooks -- --repo ../rei-api --hook post-merge --force
+ *   npm run install-hooks -- --ci [ci/deploy-sync.sh]
+ */
+
+import fs from 'fs';
+import { installHooks, renderCiStep, HOOKS } from '../hooks.js';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = { hooks: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--repo') {
+      options.repo = args[++i];
+    } else if (args[i] === '--branch') {
+      options.branch = args[++i];
+    } else if (args[i] === '--project') {
+      options.project = args[++i];
+    } else if (args[i] === '--hook') {
+      options.hooks.push(args[++i]);
+    } else if (args[i] === '--force') {
+      options.force = true;
+    } else if (args[i] === '--ci') {
+      // Optional output file; stdout without one
+      options.ci = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : true;
+    }
+  }
+
+  return options;
+}
+
+function main() {
+  const args = parseArgs();
+
+  if (args.ci) {
+    const step = renderCiStep({ project: args.project });
+    if (args.ci === true) {
+      process.stdout.write(step);
+    } else {
+      fs.writeFileSync(args.ci, step, { mode: 0o755 });
+      console.log(`Wrote CI step to ${args.ci}`);
+    }
+    return;
+  }
+
+  if (!args.repo) {
+    console.log('Usage:');
+    console.log('  npm run install-hooks -- --repo <path> [--branch main] [--project <name>] [--hook post-merge|pre-push] [--force]');
+    console.log('  npm run install-hooks -- --ci [file]    Print or write a CI step that runs deploy-sync');
+    process.exit(1);
+  }
+
+  const results = installHooks(args.repo, {
+    branch: args.branch,
+    project: args.project,
+    hooks: args.hooks.length > 0 ? args.hooks : HOOKS,
+    force: args.force,
+  });
+
+  for (const { hook, path, status } of results) {
+    if (status === 'skipped') {
+      console.log(`  skipped    ${hook}: ${path} exists and wasn't written by install-hooks (use --force to replace it)`);
+    } else {
+      console.log(`  ${status.padEnd(10)} ${hook}: ${path}`);
+    }
+  }
+  if (results.some(r => r.status === 'skipped')) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Migrate to namespace-per-project mode
+ * Copies vectors from the default namespace into a namespace per `project`
+ * metadata value. Vectors without a project stay where they are.
+ *
+ * Usage:
+ *   npm run migrate-namespaces -- --dry-run
+ *   npm run migrate-namespaces -- --project rei-api
+ *   npm run migrate-namespaces -- --delete-source
+ */
+
+import { validateConfig, config } from '../config.js';
+import { getVectorStore, scanVectors } from '../vector-store.js';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--project') {
+      options.project = args[++i];
+    } else if (args[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (args[i] === '--delete-source') {
+      options.deleteSource = true;
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  validateConfig();
+  const args = parseArgs();
+  const index = await getVectorStore();
+
+  console.log(`Migrating ${config.pinecone.indexName} (${config.vectorStore}) to per-project namespaces`);
+  if (args.dryRun) console.log('Dry run, nothing will be written\n');
+
+  const counts = {};
+  const copiedIds = [];
+  let unassigned = 0;
+
+  for await (const records of scanVectors('')) {
+    // Group the batch by target namespace
+    const byProject = {};
+    for (const record of records) {
+      const project = record.metadata?.project;
+      if (!project || (args.project && project !== args.project)) {
+        if (!project) unassigned++;
+        continue;
+      }
+      (byProject[project] ||= []).push({
+        id: record.id,
+        values: record.values,
+        ...(record.sparseValues && { sparseValues: record.sparseValues }),
+        metadata: record.metadata,
+      });
+    }
+
+    for (const [project, vectors] of Object.entries(byProject)) {
+      if (!args.dryRun) await index.namespace(project).upsert(vectors);
+      counts[project] = (counts[project] || 0) + vectors.length;
+      copiedIds.push(...vectors.map(v => v.id));
+    }
+    process.stdout.write(`\rCopied ${copiedIds.length} vector(s)`);
+  }
+  process.stdout.write('\n');
+
+  for (const [project, count] of Object.entries(counts).sort()) {
+    console.log(`  ${project}: ${count}`);
+  }
+  if (unassigned > 0) {
+    console.log(`${unassigned} vector(s) without a project left in the default namespace`);
+  }
+
+  // Delete after the scan so pagination isn't disturbed
+  if (args.deleteSource && !args.dryRun && copiedIds.length > 0) {
+    const defaultNamespace = index.namespace('');
+    for (let i = 0; i < copiedIds.length; i += 1000) {
+      await defaultNamespace.deleteMany(copiedIds.slice(i, i + 1000));
+    }
+    console.log(`Removed ${copiedIds.length} copied vector(s) from the default namespace`);
+  }
+
+  if (!config.namespaces.perProject) {
+    console.log('\nSet NAMESPACE_PER_PROJECT=true so storage and search use the project namespaces');
+  }
+}
+
+main().catch(console.error);
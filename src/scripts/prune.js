@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+/**
+ * Prune Script - Delete entries whose expiresAt has passed
+ * Run: npm run prune [-- --dry-run]
+ */
+
+import { validateConfig } from '../config.js';
+import { pruneExpired } from '../context.js';
+
+async function main() {
+  validateConfig();
+  const dryRun = process.argv.includes('--dry-run');
+
+  const expired = await pruneExpired({ dryRun });
+
+  for (const entry of expired) {
+    const meta = entry.metadata || {};
+    const expiredAt = new Date(meta.expiresAt).toISOString();
+    const preview = (entry.text || '').split('\n')[0].slice(0, 60);
+    console.log(`  ${entry.id} [${meta.project || '-'}/${meta.type || '-'}] expired ${expiredAt}: ${preview}`);
+  }
+
+  console.log(dryRun
+    ? `\n${expired.length} expired entr${expired.length === 1 ? 'y' : 'ies'} would be deleted`
+    : `\nDeleted ${expired.length} expired entr${expired.length === 1 ? 'y' : 'ies'}`);
+}
+
+main().catch(console.error);
@@ -6,6 +6,7 @@
 
 import { validateConfig } from '../config.js';
 import { getRelevantContext, searchContext } from '../context.js';
+import { formatLocation } from '../context-builder.js';
 
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -34,19 +35,29 @@ async function main() {
 
   if (!args.query) {
     console.log('Usage:');
-    console.log('  npm run search -- --query "your search query" [--project <name>] [--top 5]');
+    console.log('  npm run search -- --query "your search query" [--project <name>] [--top 5] [--alpha 0.5]');
+    console.log('                    [--mmr] [--lambda 0.5] [--rerank pinecone|keyword] [--decay]');
+    console.log('                    [--verbose] [--budget <tokens>]');
     process.exit(1);
   }
 
   const topK = parseInt(args.top) || 5;
+  const alpha = args.alpha !== undefined ? parseFloat(args.alpha) : undefined;
 
   console.log(`\nSearching for: "${args.query}"`);
   if (args.project) console.log(`Project filter: ${args.project}`);
+  if (alpha !== undefined) console.log(`Hybrid alpha: ${alpha}`);
   console.log(`Top K: ${topK}\n`);
 
   const results = await getRelevantContext(args.query, {
     project: args.project || null,
     topK,
+    alpha,
+    ...(args.mmr && { mmr: true }),
+    ...(args.decay && { decay: true }),
+    ...(args.lambda && { lambda: parseFloat(args.lambda) }),
+    ...(args.rerank && { reranker: args.rerank }),
+    ...(args.budget && { tokenBudget: parseInt(args.budget) }),
   });
 
   console.log(`Found ${results.all.length} results:\n`);
@@ -55,7 +66,8 @@ async function main() {
     const r = results.all[i];
     console.log(`--- Result ${i + 1} (score: ${r.score.toFixed(4)}) ---`);
     console.log(`Type: ${r.metadata?.type || 'unknown'}`);
-    if (r.metadata?.filePath) console.log(`File: ${r.metadata.filePath}`);
+    if (r.metadata?.filePath) console.log(`File: ${formatLocation(r.metadata)}`);
+    if (r.metadata?.symbol) console.log(`Symbol: ${r.metadata.symbol}`);
     if (r.metadata?.title) console.log(`Title: ${r.metadata.title}`);
     console.log(`\n${r.text?.slice(0, 500)}${r.text?.length > 500 ? '...' : ''}\n`);
   }
@@ -64,6 +76,12 @@ async function main() {
   if (args.verbose) {
     console.log('\n=== Context String for LLM ===\n');
     console.log(results.contextString);
+
+    console.log('\n=== Citations ===\n');
+    for (const c of results.citations) {
+      const source = c.filePath ? formatLocation(c) : (c.title || c.ids.join(', '));
+      console.log(`[${c.number}] ${source} (score: ${c.score.toFixed(4)})`);
+    }
   }
 }
 
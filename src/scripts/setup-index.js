@@ -4,8 +4,9 @@
  * Run: npm run setup
  */
 
-import { validateConfig } from '../config.js';
-import { createIndexIfNotExists, getIndexStats } from '../pinecone.js';
+import { validateConfig, config } from '../config.js';
+import { createIndexIfNotExists } from '../pinecone.js';
+import { getStoreStats } from '../vector-store.js';
 
 async function main() {
   console.log('=== Pinecone Index Setup ===\n');
@@ -13,9 +14,13 @@ async function main() {
   validateConfig();
   console.log('Configuration validated.\n');
 
-  await createIndexIfNotExists();
+  if (config.vectorStore === 'pinecone') {
+    await createIndexIfNotExists();
+  } else {
+    console.log(`Using ${config.vectorStore} vector store, no index to create`);
+  }
 
-  const stats = await getIndexStats();
+  const stats = await getStoreStats();
   console.log('\nIndex Stats:');
   console.log(JSON.stringify(stats, null, 2));
 
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * Sync a directory of structured memory files (memories/*.json)
+ * New and edited files are stored under their `id`, deleted ones removed.
+ *
+ * Usage:
+ *   npm run sync-memories
+ *   npm run sync-memories -- --dir ./memories --project rei-system
+ *   npm run sync-memories -- --force
+ */
+
+import { validateConfig } from '../config.js';
+import { syncMemories } from '../memories.js';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--dir') {
+      options.dir = args[++i];
+    } else if (args[i] === '--project') {
+      options.project = args[++i];
+    } else if (args[i] === '--force') {
+      options.force = true;
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  validateConfig();
+  const args = parseArgs();
+  const dir = args.dir || 'memories';
+
+  console.log(`Syncing memories from ${dir}${args.project ? ` into ${args.project}` : ''}`);
+  const summary = await syncMemories(dir, {
+    project: args.project,
+    force: args.force,
+    onFile: (file, status, error) => {
+      if (status === 'blocked') console.error(`  blocked  ${file}: contains secrets (${error.findings.map(f => f.name).join(', ')})`);
+      else if (status === 'failed') console.error(`  failed   ${file}: ${error.message}`);
+      else if (status !== 'skipped') console.log(`  ${status.padEnd(8)} ${file}`);
+    },
+  });
+
+  console.log(`\nAdded ${summary.added.length}, updated ${summary.updated.length}, removed ${summary.removed.length}, unchanged ${summary.skipped.length}`);
+  if (summary.blocked.length > 0) {
+    console.log(`${summary.blocked.length} file(s) blocked for containing secrets; remove them or change SECRETS_MODE`);
+  }
+  if (summary.failed.length > 0) {
+    console.log(`${summary.failed.length} file(s) failed to sync (see the errors above)`);
+  }
+  if (summary.blocked.length > 0 || summary.failed.length > 0) process.exitCode = 1;
+}
+
+main().catch(console.error);
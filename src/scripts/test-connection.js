@@ -1,12 +1,13 @@
 #!/usr/bin/env node
 /**
- * Test Script - Verify Pinecone and OpenAI connections
+ * Test Script - Verify vector store and embedding provider connections
  * Run: npm test
  */
 
 import { validateConfig, config } from '../config.js';
 import { getPinecone, getIndexStats } from '../pinecone.js';
-import { generateEmbedding } from '../embeddings.js';
+import { getStoreStats } from '../vector-store.js';
+import { getEmbeddingProvider } from '../embeddings.js';
 
 async function main() {
   console.log('=== Connection Test ===\n');
@@ -16,33 +17,46 @@ async function main() {
   validateConfig();
   console.log('   Configuration OK\n');
 
-  // 2. Test Pinecone connection
-  console.log('2. Testing Pinecone connection...');
-  try {
-    const pc = getPinecone();
-    const indexes = await pc.listIndexes();
-    console.log(`   Connected! Found ${indexes.indexes?.length || 0} index(es)`);
-
-    if (indexes.indexes?.some(idx => idx.name === config.pinecone.indexName)) {
-      const stats = await getIndexStats();
-      console.log(`   Index "${config.pinecone.indexName}" has ${stats.totalRecordCount || 0} vectors`);
-    } else {
-      console.log(`   Index "${config.pinecone.indexName}" not found. Run: npm run setup`);
+  // 2. Test vector store connection
+  if (config.vectorStore !== 'pinecone') {
+    console.log(`2. Testing ${config.vectorStore} vector store...`);
+    try {
+      const stats = await getStoreStats();
+      console.log(`   Store "${config.pinecone.indexName}" has ${stats.totalRecordCount || 0} vectors`);
+    } catch (err) {
+      console.error('   Vector Store Error:', err.message);
+      process.exit(1);
+    }
+  } else {
+    console.log('2. Testing Pinecone connection...');
+    try {
+      const pc = getPinecone();
+      const indexes = await pc.listIndexes();
+      console.log(`   Connected! Found ${indexes.indexes?.length || 0} index(es)`);
+
+      if (indexes.indexes?.some(idx => idx.name === config.pinecone.indexName)) {
+        const stats = await getIndexStats();
+        console.log(`   Index "${config.pinecone.indexName}" has ${stats.totalRecordCount || 0} vectors`);
+      } else {
+        console.log(`   Index "${config.pinecone.indexName}" not found. Run: npm run setup`);
+      }
+    } catch (err) {
+      console.error('   Pinecone Error:', err.message);
+      process.exit(1);
     }
-  } catch (err) {
-    console.error('   Pinecone Error:', err.message);
-    process.exit(1);
   }
   console.log();
 
-  // 3. Test OpenAI embeddings
-  console.log('3. Testing OpenAI embeddings...');
+  // 3. Test embeddings
+  const provider = getEmbeddingProvider();
+  console.log(`3. Testing ${provider.name} embeddings (${provider.model})...`);
   try {
     const testText = 'This is a test embedding for Pinecone context storage.';
-    const embedding = await generateEmbedding(testText);
+    // Straight to the provider: a cached embedding would pass with a bad API key
+    const [embedding] = await provider.embed([testText]);
     console.log(`   Generated embedding with ${embedding.length} dimensions`);
   } catch (err) {
-    console.error('   OpenAI Error:', err.message);
+    console.error('   Embedding Error:', err.message);
     process.exit(1);
   }
   console.log();
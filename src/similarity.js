@@ -0,0 +1,28 @@
+/**
+ * Cosine similarity between two dense vectors
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Dot product between two sparse vectors ({ indices, values })
+ */
+export function sparseDotProduct(a, b) {
+  if (!a || !b) return 0;
+  const weights = new Map(b.indices.map((index, i) => [index, b.values[i]]));
+  let dot = 0;
+  for (let i = 0; i < a.indices.length; i++) {
+    dot += a.values[i] * (weights.get(a.indices[i]) || 0);
+  }
+  return dot;
+}
@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+
+/**
+ * BM25-style sparse keyword vectors for hybrid search
+ *
+ * Dense embeddings blur exact tokens like identifiers, error codes and env
+ * var names. Sparse vectors keep one dimension per token (hashed into the
+ * uint32 index space Pinecone expects), so exact matches score directly.
+ */
+
+// BM25 parameters; without corpus statistics we assume a typical chunk length
+const K1 = 1.2;
+const B = 0.75;
+const AVG_DOC_LENGTH = 150;
+
+// Identifier parts count less than the whole identifier, so an exact
+// PINECONE_INDEX_NAME outranks text that merely says "pinecone index name".
+// Queries weight parts even lower: an identifier in a query is meant exactly.
+const DOCUMENT_PART_WEIGHT = 0.3;
+const QUERY_PART_WEIGHT = 0.1;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in',
+  'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what',
+  'when', 'where', 'which', 'with',
+]);
+
+/**
+ * Split text into weighted keyword tokens
+ * Whole identifiers are kept (PINECONE_INDEX_NAME -> pinecone_index_name),
+ * plus their snake_case/camelCase parts at a lower weight so partial names
+ * still match.
+ * @returns {Map<string, number>} token -> summed weight
+ */
+export function tokenize(text, partWeight = DOCUMENT_PART_WEIGHT) {
+  const tokens = new Map();
+  const add = (token, weight) => tokens.set(token, (tokens.get(token) || 0) + weight);
+  const words = text.match(/[\p{L}\p{N}_]+/gu) || [];
+
+  for (const word of words) {
+    const lower = word.toLowerCase();
+    if (!STOPWORDS.has(lower)) add(lower, 1);
+
+    const parts = word
+      .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+      .split(/[\s_]+/)
+      .map(p => p.toLowerCase())
+      .filter(p => p.length > 1 && p !== lower && !STOPWORDS.has(p));
+    for (const part of parts) add(part, partWeight);
+  }
+
+  return tokens;
+}
+
+/**
+ * Encode a document chunk as a sparse vector (BM25 term-frequency weights)
+ */
+export function encodeDocument(text) {
+  const counts = tokenize(text);
+  const length = [...counts.values()].reduce((sum, tf) => sum + tf, 0);
+  const lengthNorm = 1 - B + B * (length / AVG_DOC_LENGTH);
+
+  const weights = new Map();
+  for (const [token, tf] of counts) {
+    weights.set(token, (tf * (K1 + 1)) / (tf + K1 * lengthNorm));
+  }
+  return toSparseVector(weights);
+}
+
+/**
+ * Encode a search query as a sparse vector (repeated terms don't add up)
+ */
+export function encodeQuery(text) {
+  const weights = new Map();
+  for (const [token, weight] of tokenize(text, QUERY_PART_WEIGHT)) {
+    weights.set(token, Math.min(weight, 1));
+  }
+  return toSparseVector(weights);
+}
+
+/**
+ * Build the dense + sparse query pair, weighted by alpha
+ * alpha = 1 is pure semantic search, alpha = 0 pure keyword search; values
+ * outside [0, 1] are clamped, as a negative weight would invert the ranking.
+ * @returns {object} { vector, sparseVector } ready for index.query
+ */
+export function hybridQueryVectors(denseVector, queryText, alpha) {
+  if (typeof alpha !== 'number' || Number.isNaN(alpha)) {
+    throw new Error(`Hybrid alpha must be a number between 0 and 1, got ${alpha}`);
+  }
+  alpha = Math.min(Math.max(alpha, 0), 1);
+
+  const sparse = encodeQuery(queryText);
+  if (alpha >= 1 || sparse.indices.length === 0) {
+    return { vector: denseVector };
+  }
+
+  return {
+    vector: denseVector.map(v => v * alpha),
+    sparseVector: {
+      indices: sparse.indices,
+      values: sparse.values.map(v => v * (1 - alpha)),
+    },
+  };
+}
+
+/**
+ * Hash tokens into uint32 indices and L2-normalize, so sparse scores stay
+ * on the same 0..1 scale as cosine similarity
+ */
+function toSparseVector(weights) {
+  const byIndex = new Map();
+  for (const [token, weight] of weights) {
+    const index = crypto.createHash('md5').update(token).digest().readUInt32LE(0);
+    byIndex.set(index, (byIndex.get(index) || 0) + weight);
+  }
+
+  const norm = Math.sqrt([...byIndex.values()].reduce((sum, w) => sum + w * w, 0));
+  const entries = [...byIndex.entries()].sort((a, b) => a[0] - b[0]);
+
+  return {
+    indices: entries.map(([index]) => index),
+    values: entries.map(([, weight]) => (norm > 0 ? weight / norm : 0)),
+  };
+}
@@ -0,0 +1,55 @@
+import { getEncoding, getEncodingNameForModel } from 'js-tiktoken';
+import { config } from './config.js';
+
+/**
+ * Token counting with the embedding model's tokenizer
+ *
+ * OpenAI models use their own encoding (cl100k_base for the embedding
+ * models). Other providers' tokenizers aren't bundled, so cl100k_base
+ * stands in for them unless TOKENIZER_ENCODING names another encoding.
+ */
+
+const DEFAULT_ENCODING = 'cl100k_base';
+
+let encoder = null;
+
+/**
+ * Name of the encoding used for the configured embedding model
+ */
+export function getEncodingName() {
+  if (config.chunking.encoding) return config.chunking.encoding;
+  if (config.embeddings.provider === 'openai') {
+    try {
+      return getEncodingNameForModel(config.embeddings.model || config.openai.embeddingModel);
+    } catch {
+      return DEFAULT_ENCODING;
+    }
+  }
+  return DEFAULT_ENCODING;
+}
+
+function getEncoder() {
+  if (!encoder) encoder = getEncoding(getEncodingName());
+  return encoder;
+}
+
+/**
+ * Number of tokens in a text
+ */
+export function countTokens(text) {
+  return text ? getEncoder().encode(text).length : 0;
+}
+
+/**
+ * Cut text into pieces of at most maxTokens tokens each, for text without
+ * any whitespace to break at (minified code, base64, long URLs)
+ */
+export function splitByTokens(text, maxTokens) {
+  if (!(maxTokens > 0)) throw new Error(`maxTokens must be positive, got ${maxTokens}`);
+  const tokens = getEncoder().encode(text);
+  const pieces = [];
+  for (let i = 0; i < tokens.length; i += maxTokens) {
+    pieces.push(getEncoder().decode(tokens.slice(i, i + maxTokens)));
+  }
+  return pieces;
+}
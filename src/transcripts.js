@@ -0,0 +1,176 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { storeConversation } from './context.js';
+import { loadManifest, saveManifest } from './manifest.js';
+
+/**
+ * Import Claude Code session transcripts as conversation memory
+ *
+ * Transcripts are JSONL files under ~/.claude/projects/<encoded cwd>/, one
+ * file per session and one line per event. User and assistant text becomes
+ * one `conversation` entry per turn; tool calls, tool results, thinking,
+ * slash-command output and sidechain (subagent) traffic are left out.
+ * A manifest records how far each file has been read, so re-running only
+ * picks up new turns.
+ */
+
+export const DEFAULT_TRANSCRIPTS_DIR = path.join(os.homedir(), '.claude', 'projects');
+
+// Not a project name, so it can't collide with an indexing manifest
+const MANIFEST_NAME = '_transcripts';
+
+// User text that Claude Code injects rather than the user typing it
+const NOISE_PREFIXES = [
+  '<command-name>',
+  '<command-message>',
+  '<local-command-stdout>',
+  '<local-command-stderr>',
+  '[Request interrupted by user',
+];
+
+/**
+ * Find transcript files under a directory (recursively)
+ */
+export function findTranscripts(dir = DEFAULT_TRANSCRIPTS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true, recursive: true })
+    .filter(item => item.isFile() && item.name.endsWith('.jsonl'))
+    .map(item => path.join(item.parentPath ?? item.path, item.name))
+    .sort();
+}
+
+/**
+ * Import new turns from transcript files
+ * @param {string[]} files - Transcript paths (see findTranscripts)
+ * @param {object} options - { project, force, onFile(file, turns) }
+ *   project - store everything under this project instead of the one
+ *     derived from each session's working directory
+ *   force - re-read files from the start
+ * @returns {object} { files, turns, blocked }
+ */
+export async function importTranscripts(files, options = {}) {
+  const { project = null, force = false, onFile = null } = options;
+  const manifest = loadManifest(MANIFEST_NAME);
+  const summary = { files: 0, turns: 0, blocked: 0 };
+
+  for (const file of files.map(f => path.resolve(f))) {
+    const state = (!force && manifest.files[file]) || { offset: 0, turns: 0 };
+    const size = fs.statSync(file).size;
+    if (size === state.offset) continue;
+    // A smaller file was rewritten, so start over
+    if (size < state.offset) Object.assign(state, { offset: 0, turns: 0 });
+
+    const { turns, offset } = readTurns(file, state.offset, size);
+    let turnNumber = state.turns;
+    for (const turn of turns) {
+      turnNumber++;
+      const turnProject = project || projectFromCwd(turn.cwd);
+      try {
+        await storeConversation(turn.role, turn.text, {
+          ...(turnProject && { project: turnProject }),
+          sessionId: turn.sessionId,
+          turn: turnNumber,
+          timestamp: turn.timestamp,
+          source: 'claude-code',
+        });
+      } catch (error) {
+        // SECRETS_MODE=block: leave the turn out rather than stall the import
+        if (error.code !== 'SECRET_DETECTED') throw error;
+        summary.blocked++;
+      }
+    }
+
+    // Save per file so an interrupted run doesn't store turns twice
+    manifest.files[file] = { offset, turns: turnNumber, importedAt: new Date().toISOString() };
+    saveManifest(manifest);
+
+    summary.files++;
+    summary.turns += turns.length;
+    if (onFile) onFile(file, turns.length);
+  }
+
+  return summary;
+}
+
+/**
+ * Read complete lines from a byte offset and group them into turns
+ * Claude Code writes each content block of an assistant message as its own
+ * line, so consecutive lines of the same message are joined.
+ * @returns {object} { turns: [{ role, text, sessionId, cwd, timestamp }], offset }
+ */
+function readTurns(file, start, size) {
+  const buffer = Buffer.alloc(size - start);
+  const fd = fs.openSync(file, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, buffer.length, start);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  // A line still being written has no newline yet; leave it for next time
+  const end = buffer.lastIndexOf('\n') + 1;
+  const lines = buffer.subarray(0, end).toString('utf-8').split('\n');
+
+  const turns = [];
+  let current = null;
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      continue;
+    }
+
+    const text = turnText(event);
+    if (!text) continue;
+
+    const messageId = event.message.id;
+    if (current && event.type === 'assistant' && current.role === 'assistant' && messageId && current.messageId === messageId) {
+      current.text += `\n\n${text}`;
+      continue;
+    }
+
+    current = {
+      role: event.type,
+      text,
+      messageId,
+      sessionId: event.sessionId,
+      cwd: event.cwd,
+      timestamp: event.timestamp,
+    };
+    turns.push(current);
+  }
+
+  return {
+    turns: turns.map(({ messageId, ...turn }) => turn),
+    offset: start + end,
+  };
+}
+
+/**
+ * Text a user or assistant event contributes to the conversation, or null
+ */
+function turnText(event) {
+  if (event.type !== 'user' && event.type !== 'assistant') return null;
+  if (event.isMeta || event.isSidechain || !event.message) return null;
+
+  const { content } = event.message;
+  const blocks = typeof content === 'string' ? [{ type: 'text', text: content }] : content || [];
+  const text = blocks
+    .filter(block => block.type === 'text' && block.text)
+    .map(block => block.text.replace(/<system-reminder>[\s\S]*?<\/system-reminder>/g, '').trim())
+    .filter(Boolean)
+    .join('\n\n');
+
+  if (!text || NOISE_PREFIXES.some(prefix => text.startsWith(prefix))) return null;
+  return text;
+}
+
+/**
+ * Project name for a session: the last segment of its working directory
+ */
+function projectFromCwd(cwd) {
+  return cwd ? path.basename(cwd) : null;
+}
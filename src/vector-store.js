@@ -0,0 +1,117 @@
+import { config } from './config.js';
+import { getIndex } from './pinecone.js';
+import { getLocalIndex } from './local-store.js';
+import { withRetry, createLimiter } from './retry.js';
+
+/**
+ * Vector store backends, keyed by the VECTOR_STORE config value.
+ * Each factory returns an object with the Pinecone index API we rely on:
+ * upsert, query, fetch, listPaginated, deleteMany, deleteAll,
+ * describeIndexStats and namespace(name).
+ */
+const backends = {
+  pinecone: () => getIndex(),
+  local: () => getLocalIndex(),
+};
+
+// Calls that reach the store; retried on transient errors
+const STORE_METHODS = ['upsert', 'query', 'fetch', 'listPaginated', 'deleteMany', 'deleteAll', 'describeIndexStats'];
+// Writes also share a process-wide concurrency limit
+const WRITE_METHODS = ['upsert', 'deleteMany', 'deleteAll'];
+
+const limitWrites = createLimiter(config.requests.writeConcurrency);
+
+/**
+ * Register a custom vector store backend
+ */
+export function registerVectorStore(name, factory) {
+  backends[name] = factory;
+}
+
+/**
+ * Get the configured vector store
+ */
+export async function getVectorStore() {
+  const factory = backends[config.vectorStore];
+  if (!factory) {
+    throw new Error(`Unknown vector store: ${config.vectorStore} (available: ${Object.keys(backends).join(', ')})`);
+  }
+  return resilient(await factory());
+}
+
+/**
+ * Wrap a store (or namespace view) so its calls are retried and its writes
+ * rate limited; namespace(name) returns a wrapped view too
+ */
+function resilient(store) {
+  return new Proxy(store, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop);
+      if (prop === 'namespace') return name => resilient(target.namespace(name));
+      if (!STORE_METHODS.includes(prop)) return typeof value === 'function' ? value.bind(target) : value;
+
+      return (...args) => {
+        const call = () => withRetry(() => value.apply(target, args), { label: `Vector store ${prop}` });
+        return WRITE_METHODS.includes(prop) ? limitWrites(call) : call();
+      };
+    },
+  });
+}
+
+/**
+ * Get statistics for the configured vector store
+ */
+export async function getStoreStats() {
+  const store = await getVectorStore();
+  return store.describeIndexStats();
+}
+
+/**
+ * Get the store holding a project's vectors: its own namespace in
+ * namespace-per-project mode, otherwise the default namespace
+ */
+export async function getProjectStore(project) {
+  const store = await getVectorStore();
+  return store.namespace(projectNamespace(project));
+}
+
+/**
+ * Namespace a project's vectors are written to ('' is the default namespace)
+ */
+export function projectNamespace(project) {
+  return config.namespaces.perProject && project ? project : '';
+}
+
+/**
+ * Names of the namespaces that hold vectors ('' is the default namespace)
+ */
+export async function listNamespaces() {
+  const stats = await getStoreStats();
+  // Newer Pinecone API versions report the default namespace as __default__
+  return Object.keys(stats.namespaces || {}).map(name => (name === '__default__' ? '' : name));
+}
+
+/**
+ * Walk every record of a namespace in batches
+ * Uses listPaginated, so on Pinecone it needs a serverless index.
+ * @yields {Array} Records ({ id, values, sparseValues, metadata })
+ */
+export async function* scanVectors(namespace = '', options = {}) {
+  const { prefix, batchSize = 100 } = options;
+  const store = (await getVectorStore()).namespace(namespace);
+
+  let paginationToken;
+  do {
+    const page = await store.listPaginated({
+      limit: batchSize,
+      ...(prefix && { prefix }),
+      ...(paginationToken && { paginationToken }),
+    });
+    const ids = (page.vectors || []).map(v => v.id);
+    if (ids.length > 0) {
+      const { records } = await store.fetch(ids);
+      yield ids.filter(id => records[id]).map(id => records[id]);
+    }
+    paginationToken = page.pagination?.next;
+  } while (paginationToken);
+}